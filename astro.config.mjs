@@ -3,9 +3,15 @@ import { defineConfig } from 'astro/config';
 
 import react from '@astrojs/react';
 import tailwind from '@astrojs/tailwind';
+import { DEFAULT_LOCALE, LOCALES } from './src/lib/locales.js';
 
 // https://astro.build/config
 export default defineConfig({
   output: 'static',
-  integrations: [react(), tailwind()]
+  integrations: [react(), tailwind()],
+  i18n: {
+    locales: LOCALES,
+    defaultLocale: DEFAULT_LOCALE,
+    routing: { prefixDefaultLocale: false },
+  },
 });
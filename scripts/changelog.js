@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Diff two versions of services.json and record the changes
+ *
+ * Lists new and removed services, services that went down or recovered and
+ * trust verification changes. With --write the entry is added to the top of
+ * src/data/changelog.json, which the site publishes as /changes/ and
+ * /changes.xml.
+ *
+ * Usage:
+ *   node scripts/changelog.js --from-ref HEAD [--write]     (committed vs working copy)
+ *   node scripts/changelog.js --from old.json [--to new.json] [--write]
+ *   node scripts/changelog.js --from-ref HEAD --message     (print a commit message)
+ */
+
+import { parseArgs } from 'util';
+import { execFileSync } from 'child_process';
+import { relative } from 'path';
+import { loadServices, SERVICES_PATH } from './lib/store.js';
+import {
+  diffDatasets, isEmptyEntry, formatEntry, loadChangelog, saveChangelog, CHANGELOG_PATH,
+} from './lib/changelog.js';
+import { summarizeChanges } from '../src/lib/changeSummary.js';
+
+// services.json as committed at a git revision
+function servicesAtRef(ref) {
+  const path = relative(process.cwd(), SERVICES_PATH).split('\\').join('/');
+  try {
+    return JSON.parse(execFileSync('git', ['show', `${ref}:./${path}`], { encoding: 'utf-8', stdio: ['ignore', 'pipe', 'pipe'], maxBuffer: 64 * 1024 * 1024 }));
+  } catch (error) {
+    throw new Error(`could not read services.json at ${ref}: ${error.stderr?.toString().trim() || error.message}`);
+  }
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      'from-ref': { type: 'string' },
+      to: { type: 'string' },
+      date: { type: 'string' },
+      write: { type: 'boolean', default: false },
+      message: { type: 'boolean', default: false },
+    },
+  });
+
+  try {
+    if (Boolean(values.from) === Boolean(values['from-ref'])) {
+      throw new Error('pass either --from <file> or --from-ref <git revision>');
+    }
+    const date = values.date ?? new Date().toISOString();
+    if (Number.isNaN(Date.parse(date))) throw new Error(`--date expects an ISO timestamp, got ${values.date}`);
+
+    const before = values.from ? loadServices({ path: values.from }) : servicesAtRef(values['from-ref']);
+    const after = loadServices({ path: values.to ?? SERVICES_PATH });
+    const entry = diffDatasets(before, after, new Date(date).toISOString());
+
+    if (values.message) {
+      console.log(`Weekly health check: ${summarizeChanges(entry)}`);
+      const lines = formatEntry(entry);
+      if (lines.length > 0) console.log(`\n${lines.join('\n')}`);
+      return;
+    }
+
+    console.log(`Changes: ${summarizeChanges(entry)}`);
+    for (const line of formatEntry(entry)) console.log(`  ${line}`);
+
+    if (!values.write) {
+      if (!isEmptyEntry(entry)) console.log('\nDry run: re-run with --write to record it');
+      return;
+    }
+    if (isEmptyEntry(entry)) {
+      console.log('Nothing to record');
+      return;
+    }
+    saveChangelog([entry, ...loadChangelog()]);
+    console.log(`\nRecorded in ${CHANGELOG_PATH}`);
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
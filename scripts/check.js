@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Runs health checks against services.json and records the results
+ *
+ * Usage:
+ *   node scripts/check.js [--checkers website,trustpilot,wikidata]
+ *                         [--category "E-Commerce"] [--id proton-mail]
+ *                         [--concurrency 4] [--dry-run]
+ *                         [--fail-threshold 3] [--fail-window-days 14]
+ *                         [--report-dir reports] [--stale-weeks 4] [--mass-failure-ratio 0.5]
+ *   node scripts/check.js --url http://localhost:4010/ [--checkers privacy]
+ *
+ * Every result is appended to src/data/history.json. A service is only
+ * marked inactive once its website check has failed --fail-threshold times
+ * in a row or continuously for --fail-window-days.
+ *
+ * Each run writes an audit report (audit-report.json and audit-summary.md)
+ * to --report-dir. If at least --mass-failure-ratio of the conclusive website
+ * checks fail at once, nothing is saved and the command exits with status 2.
+ *
+ * --url runs the checkers against any URL (e.g. the fixture server in
+ * scripts/fixtures/) and prints their results without touching the dataset.
+ */
+
+import { parseArgs } from 'util';
+import { loadServices, saveServices, listInnovators, isHttpUrl } from './lib/store.js';
+import { createInnovator } from './lib/merge.js';
+import { loadHistory, saveHistory, DEFAULT_POLICY } from './lib/history.js';
+import { CHECKERS, selectCheckers } from './checkers/index.js';
+import { selectTargets, runChecks, numberOption } from './lib/pipeline.js';
+import { buildReport, writeReport, DEFAULT_REPORT_OPTIONS } from './lib/report.js';
+import { setConcurrency } from './lib/client.js';
+
+const DEFAULT_CONCURRENCY = 4;
+
+// Exit status when the run looks like a network problem rather than outages
+const EXIT_MASS_FAILURE = 2;
+
+const USAGE = `Usage: node scripts/check.js [options]
+
+Options:
+  --checkers <list>   Comma-separated checkers to run (default: all)
+  --category <name>   Only check services in this category (repeatable)
+  --id <id>           Only check these service ids (repeatable)
+  --concurrency <n>   Services checked at once, and requests in flight overall (default: ${DEFAULT_CONCURRENCY}).
+                      Requests to any one host are still made one at a time
+  --dry-run           Run the checks but don't write services.json or history
+  --url <url>         Check this URL instead of listed services and print the results (nothing is saved)
+  --fail-threshold <n>
+                      Consecutive failures before a service is hidden (default: ${DEFAULT_POLICY.failureThreshold})
+  --fail-window-days <n>
+                      Days of continuous failure before a service is hidden (default: ${DEFAULT_POLICY.failureWindowDays})
+  --report-dir <dir>  Where to write audit-report.json and audit-summary.md (default: reports)
+  --stale-weeks <n>   Report services failing this many weeks as removal candidates (default: ${DEFAULT_REPORT_OPTIONS.staleWeeks})
+  --mass-failure-ratio <r>
+                      Share of failing websites (among conclusive checks) treated as a network problem: nothing is saved
+                      and the exit status is ${EXIT_MASS_FAILURE} (default: ${DEFAULT_REPORT_OPTIONS.massFailureRatio}, 0 disables)
+  --help              Show this message
+
+Checkers:
+${Object.values(CHECKERS).map(c => `  ${c.name.padEnd(12)} ${c.description}`).join('\n')}
+`;
+
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      checkers: { type: 'string' },
+      category: { type: 'string', multiple: true },
+      id: { type: 'string', multiple: true },
+      concurrency: { type: 'string', default: String(DEFAULT_CONCURRENCY) },
+      'dry-run': { type: 'boolean', default: false },
+      url: { type: 'string' },
+      'fail-threshold': { type: 'string', default: String(DEFAULT_POLICY.failureThreshold) },
+      'fail-window-days': { type: 'string', default: String(DEFAULT_POLICY.failureWindowDays) },
+      'report-dir': { type: 'string', default: 'reports' },
+      'stale-weeks': { type: 'string', default: String(DEFAULT_REPORT_OPTIONS.staleWeeks) },
+      'mass-failure-ratio': { type: 'string', default: String(DEFAULT_REPORT_OPTIONS.massFailureRatio) },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  return {
+    checkers: values.checkers ? values.checkers.split(',').map(s => s.trim()).filter(Boolean) : [],
+    categories: values.category ?? [],
+    ids: values.id ?? [],
+    concurrency: numberOption(values, 'concurrency', { integer: true, min: 1 }),
+    dryRun: values['dry-run'],
+    url: values.url,
+    policy: {
+      failureThreshold: numberOption(values, 'fail-threshold', { integer: true, min: 1 }),
+      failureWindowDays: numberOption(values, 'fail-window-days', { min: 1 }),
+    },
+    reportDir: values['report-dir'],
+    report: {
+      staleWeeks: numberOption(values, 'stale-weeks', { integer: true, min: 1 }),
+      massFailureRatio: numberOption(values, 'mass-failure-ratio', { min: 0, max: 1 }),
+    },
+    help: values.help,
+  };
+}
+
+function printTransitions(transitions, policy) {
+  const groups = [
+    ['went_down', 'Now hidden (failure threshold reached)'],
+    ['recovered', 'Recovered'],
+    ['degraded', `Failing but still shown (hidden after ${policy.failureThreshold} failures)`],
+  ];
+  for (const [type, heading] of groups) {
+    const matching = transitions.filter(t => t.type === type);
+    if (matching.length === 0) continue;
+    console.log(`\n${heading}:`);
+    for (const t of matching) {
+      const failures = t.failures ? `, ${t.failures} consecutive failure(s)` : '';
+      console.log(`  - ${t.name} [${t.category}]: ${t.reason}${failures}`);
+    }
+  }
+}
+
+// Run the checkers against a URL that isn't in the dataset
+async function checkUrl(url, checkers) {
+  if (!isHttpUrl(url)) throw new Error(`--url expects an http(s) URL, got ${url}`);
+  const category = { category: 'Ad hoc', innovators: [] };
+  const innovator = createInnovator({ id: 'url', name: new URL(url).hostname, url, description: url });
+  await runChecks([{ category, innovator }], checkers);
+  console.log(`\n${JSON.stringify(innovator.trust_data, null, 2)}`);
+}
+
+async function main() {
+  const options = parseOptions(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  setConcurrency(options.concurrency);
+  const checkers = selectCheckers(options.checkers);
+  if (options.url) {
+    await checkUrl(options.url, checkers);
+    return;
+  }
+  const data = loadServices();
+  const history = loadHistory();
+  const targets = selectTargets(data, options);
+  const before = structuredClone(data);
+
+  console.log(`Running ${checkers.map(c => c.name).join(', ')} on ${targets.length} service(s)\n`);
+  const { tally, transitions, now } = await runChecks(targets, checkers, {
+    concurrency: options.concurrency,
+    history,
+    policy: options.policy,
+  });
+
+  console.log('\n' + '='.repeat(50));
+  for (const [name, counts] of Object.entries(tally)) {
+    console.log(`${name.padEnd(12)} ${counts.pass} pass, ${counts.fail} fail, ${counts.error} inconclusive`);
+  }
+  console.log('='.repeat(50));
+  printTransitions(transitions, options.policy);
+
+  const report = buildReport({ before, after: data, targets, history, tally, transitions, now }, options.report);
+  const { jsonPath, markdownPath } = writeReport(report, options.reportDir, options.report);
+  console.log(`\nReport written to ${jsonPath} and ${markdownPath}`);
+
+  if (report.mass_failure) {
+    console.error(`\nMass failure: ${Math.round(report.website.failure_ratio * 100)}% of websites failed at once; looks like a network problem. Nothing saved.`);
+    process.exit(EXIT_MASS_FAILURE);
+  }
+
+  if (options.dryRun) {
+    console.log('\nDry run: services.json and history not written');
+    return;
+  }
+  saveServices(data);
+  saveHistory(history, listInnovators(data).map(e => e.innovator.id));
+  console.log('\nSaved services.json and history.json');
+}
+
+main().catch(error => {
+  console.error('Check failed:', error.message);
+  process.exit(1);
+});
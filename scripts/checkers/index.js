@@ -0,0 +1,48 @@
+/**
+ * Checker registry for scripts/check.js
+ *
+ * A checker is a module whose default export looks like
+ *
+ *   {
+ *     name: 'website',
+ *     description: 'One-line summary for --help',
+ *     async run(innovator, context) { return CheckResult },
+ *     updates(result, context) { return partial innovator for mergeInnovator },
+ *   }
+ *
+ * where `context` is `{ category, innovator, now, policy }` (plus, for
+ * updates(), `history`: this checker's past entries for the service ending
+ * with the current result) and a CheckResult is
+ *
+ *   {
+ *     outcome: 'pass' | 'fail' | 'error',   // error = inconclusive, keep old data
+ *     reason: 'ok' | 'http_404' | 'timeout' | ...,
+ *     http_code?: number,
+ *     latency_ms?: number,
+ *     data?: object,                        // checker-specific evidence
+ *   }
+ *
+ * To add a checker, create a module next to this one and list it below.
+ */
+
+import website from './website.js';
+import trustpilot from './trustpilot.js';
+import wikidata from './wikidata.js';
+import privacy from './privacy.js';
+
+export const CHECKERS = { website, trustpilot, wikidata, privacy };
+
+/**
+ * Resolve a list of checker names, throwing on unknown ones
+ */
+export function selectCheckers(names) {
+  if (!names || names.length === 0) return Object.values(CHECKERS);
+
+  return names.map(name => {
+    const checker = CHECKERS[name];
+    if (!checker) {
+      throw new Error(`Unknown checker "${name}". Available: ${Object.keys(CHECKERS).join(', ')}`);
+    }
+    return checker;
+  });
+}
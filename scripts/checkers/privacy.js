@@ -0,0 +1,50 @@
+/**
+ * Privacy checker: scan the homepage for third-party trackers, cookies set
+ * before consent, HTTPS/HSTS, security.txt and a privacy policy link
+ */
+
+import { scanHomepage, loadTrackers } from '../lib/privacy.js';
+import { classifyError } from '../lib/http.js';
+import { summarizeResult } from './result.js';
+
+let trackers = null;
+
+export default {
+  name: 'privacy',
+  description: 'Scan the homepage for trackers, early cookies, HSTS, security.txt and a privacy policy',
+
+  async run(innovator) {
+    trackers ??= loadTrackers();
+    const started = Date.now();
+    try {
+      const scan = await scanHomepage(innovator.url, { trackers });
+      return {
+        outcome: scan.trackers.length === 0 ? 'pass' : 'fail',
+        reason: scan.trackers.length === 0 ? 'ok' : 'trackers_found',
+        http_code: scan.http_code,
+        latency_ms: Date.now() - started,
+        data: scan,
+      };
+    } catch (error) {
+      // An unreachable homepage is the website checker's business, not a privacy verdict
+      const { reason, httpCode } = error.httpCode
+        ? { reason: `http_${error.httpCode}`, httpCode: error.httpCode }
+        : classifyError(error);
+      return { outcome: 'error', reason, http_code: httpCode, latency_ms: Date.now() - started };
+    }
+  },
+
+  updates(result, { now }) {
+    const checks = { privacy: summarizeResult(result, now) };
+    if (result.outcome === 'error') return { trust_data: { checks } };
+
+    return {
+      trust_data: {
+        privacy_status: result.outcome === 'pass' ? 'no_trackers' : 'trackers',
+        privacy: { ...result.data, checked_at: now },
+        last_checked: now,
+        checks,
+      },
+    };
+  },
+};
@@ -0,0 +1,15 @@
+/**
+ * Helpers shared by the checker modules
+ */
+
+/**
+ * The compact record of a result kept in trust_data.checks.<name>
+ */
+export function summarizeResult(result, now) {
+  return {
+    outcome: result.outcome,
+    reason: result.reason,
+    http_code: result.http_code ?? null,
+    checked_at: now,
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * Trustpilot checker: does trustpilot.com/review/<domain> exist?
+ */
+
+import { probe, extractDomain } from '../lib/http.js';
+import { summarizeResult } from './result.js';
+
+export default {
+  name: 'trustpilot',
+  description: 'Look for a Trustpilot review profile for the service domain',
+
+  async run(innovator) {
+    const domain = extractDomain(innovator.url);
+    if (!domain) return { outcome: 'fail', reason: 'invalid_url' };
+
+    const reviewUrl = `https://www.trustpilot.com/review/${domain}`;
+    const result = await probe(reviewUrl);
+    const base = { http_code: result.httpCode, latency_ms: result.latencyMs, data: { review_url: reviewUrl } };
+
+    // Unknown domains either 404 or redirect away from /review/
+    if (result.ok && new URL(result.finalUrl).pathname.startsWith('/review/')) {
+      return { ...base, outcome: 'pass', reason: 'ok' };
+    }
+    if (result.ok || result.reason === 'http_404') {
+      return { ...base, outcome: 'fail', reason: 'no_profile' };
+    }
+    // Rate limiting, bot walls and network trouble say nothing about the profile
+    return { ...base, outcome: 'error', reason: result.reason };
+  },
+
+  updates(result, { now }) {
+    const checks = { trustpilot: summarizeResult(result, now) };
+    if (result.outcome === 'error') return { trust_data: { checks } };
+
+    return {
+      trust_data: {
+        trustpilot_status: result.outcome === 'pass' ? 'verified' : 'unverified',
+        last_checked: now,
+        checks,
+      },
+    };
+  },
+};
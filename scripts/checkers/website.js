@@ -0,0 +1,42 @@
+/**
+ * Website checker: is the service's own URL reachable?
+ */
+
+import { probe } from '../lib/http.js';
+import { evaluateAvailability, uptime } from '../lib/history.js';
+import { summarizeResult } from './result.js';
+
+export default {
+  name: 'website',
+  description: 'HEAD (then GET) the service URL and record reachability',
+
+  async run(innovator) {
+    const result = await probe(innovator.url);
+    return {
+      // Not being allowed to look says nothing about whether the site is up
+      outcome: result.ok ? 'pass' : result.reason === 'robots_disallowed' ? 'error' : 'fail',
+      reason: result.reason,
+      http_code: result.httpCode,
+      latency_ms: result.latencyMs,
+      data: { method: result.method, final_url: result.finalUrl },
+    };
+  },
+
+  updates(result, { innovator, now, policy, history }) {
+    const checks = { website: summarizeResult(result, now) };
+    if (result.outcome === 'error') return { trust_data: { checks } };
+
+    // A single failure doesn't hide the service; see evaluateAvailability()
+    const { is_active, failures } = evaluateAvailability(history, innovator.status.is_active, policy);
+    return {
+      status: {
+        is_active, last_checked: now, http_code: result.http_code, consecutive_failures: failures, uptime: uptime(history),
+      },
+      trust_data: {
+        website_status: result.outcome === 'pass' ? 'active' : 'inactive',
+        last_checked: now,
+        checks,
+      },
+    };
+  },
+};
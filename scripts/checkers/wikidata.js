@@ -0,0 +1,57 @@
+/**
+ * Wikidata checker: link the service to its Wikidata entity, with evidence,
+ * and record who owns it once the link is verified
+ */
+
+import { resolveEntity } from '../lib/entity_resolution.js';
+import { resolveOwnership } from '../lib/ownership.js';
+import { classifyError } from '../lib/http.js';
+import { summarizeResult } from './result.js';
+
+export default {
+  name: 'wikidata',
+  description: 'Match the service to a Wikidata entity by website, name, country and type',
+
+  async run(innovator) {
+    const started = Date.now();
+    try {
+      const resolution = await resolveEntity(innovator);
+      if (resolution.status === 'verified') {
+        const qid = resolution.match.id;
+        resolution.ownership = (await resolveOwnership([qid]))[qid] ?? null;
+      }
+      return {
+        outcome: resolution.status === 'verified' ? 'pass' : 'fail',
+        reason: resolution.status === 'needs_review' ? 'needs_review' : resolution.reason,
+        latency_ms: Date.now() - started,
+        data: resolution,
+      };
+    } catch (error) {
+      const { reason, httpCode } = error.httpCode
+        ? { reason: `http_${error.httpCode}`, httpCode: error.httpCode }
+        : classifyError(error);
+      return { outcome: 'error', reason, http_code: httpCode, latency_ms: Date.now() - started };
+    }
+  },
+
+  updates(result, { now }) {
+    const checks = { wikidata: summarizeResult(result, now) };
+    if (result.outcome === 'error') return { trust_data: { checks } };
+
+    const { status, match, ownership } = result.data;
+    return {
+      // Only a verified link says whose item it is; any other verdict drops
+      // the owner recorded for an earlier match (null, as undefined is skipped)
+      ownership: status === 'verified' ? ownership ?? null : null,
+      trust_data: {
+        wikidata_status: status,
+        // Unverified matches are too weak to keep; review candidates are kept for a human
+        wikidata_id: status === 'unverified' ? null : match.id,
+        wikidata_confidence: match?.confidence ?? 0,
+        wikidata_evidence: status === 'unverified' ? [] : match.evidence,
+        last_checked: now,
+        checks,
+      },
+    };
+  },
+};
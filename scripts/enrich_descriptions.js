@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * Replace placeholder descriptions with real short ones
+ *
+ * Services still on a stand-in like "Proton Mail - Software from Switzerland"
+ * get the English description of their Wikidata item or the description in
+ * their homepage's <meta> tags (OpenGraph first), whichever source answers
+ * first. Hand-written descriptions are never replaced; see
+ * src/lib/descriptions.js for how they are told apart.
+ *
+ * Prints the proposed changes and the services that remain placeholders;
+ * pass --write to save them.
+ *
+ * Usage:
+ *   node scripts/enrich_descriptions.js [--sources wikidata,homepage]
+ *                                       [--category "E-Commerce"] [--id proton-mail]
+ *                                       [--concurrency 4] [--write]
+ *   node scripts/enrich_descriptions.js --list     (placeholders only, no network)
+ */
+
+import { parseArgs } from 'util';
+import { loadServices, saveServices, mergeInnovator, SERVICES_PATH } from './lib/store.js';
+import { selectTargets, mapConcurrent, numberOption } from './lib/pipeline.js';
+import { setConcurrency } from './lib/client.js';
+import {
+  enrichDescription, needsEnrichment, wikidataDescriptions, ENRICHMENT_SOURCES,
+} from './lib/enrichment.js';
+
+const DEFAULT_CONCURRENCY = 4;
+
+const USAGE = `Usage: node scripts/enrich_descriptions.js [options]
+
+Options:
+  --sources <list>    Sources to try, in order (default: ${ENRICHMENT_SOURCES.join(',')})
+  --category <name>   Only services in this category (repeatable)
+  --id <id>           Only these service ids (repeatable)
+  --concurrency <n>   Services looked up at once (default: ${DEFAULT_CONCURRENCY})
+  --list              List the services still on a placeholder and exit
+  --write             Save the new descriptions to services.json
+  --help              Show this message
+`;
+
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      sources: { type: 'string', default: ENRICHMENT_SOURCES.join(',') },
+      category: { type: 'string', multiple: true },
+      id: { type: 'string', multiple: true },
+      concurrency: { type: 'string', default: String(DEFAULT_CONCURRENCY) },
+      list: { type: 'boolean', default: false },
+      write: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  const sources = values.sources.split(',').map(s => s.trim()).filter(Boolean);
+  const unknown = sources.filter(source => !ENRICHMENT_SOURCES.includes(source));
+  if (unknown.length > 0) throw new Error(`Unknown source(s) ${unknown.join(', ')}. Available: ${ENRICHMENT_SOURCES.join(', ')}`);
+
+  return {
+    sources,
+    categories: values.category ?? [],
+    ids: values.id ?? [],
+    concurrency: numberOption(values, 'concurrency', { integer: true, min: 1 }),
+    list: values.list,
+    write: values.write,
+    help: values.help,
+  };
+}
+
+async function main() {
+  const options = parseOptions(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  setConcurrency(options.concurrency);
+  const data = loadServices();
+  const targets = selectTargets(data, options).filter(({ innovator }) => needsEnrichment(innovator));
+
+  if (options.list) {
+    console.log(`Placeholder descriptions (${targets.length}):`);
+    for (const { category, innovator } of targets) {
+      console.log(`  ${innovator.id} [${category.category}]: ${innovator.description}`);
+    }
+    return;
+  }
+
+  console.log(`Enriching ${targets.length} placeholder description(s) from ${options.sources.join(', ')}\n`);
+  const wikidata = options.sources.includes('wikidata')
+    ? await wikidataDescriptions(targets.map(t => t.innovator))
+    : {};
+  const now = new Date().toISOString();
+  const enriched = [];
+  const remaining = [];
+
+  // Printed in target order once every lookup is done
+  const results = await mapConcurrent(targets, options.concurrency, ({ innovator }) =>
+    enrichDescription(innovator, { sources: options.sources, wikidata, now }));
+
+  for (const [i, { innovator }] of targets.entries()) {
+    const result = results[i];
+    if (result.description) {
+      enriched.push({ innovator, ...result });
+      console.log(`  ~ ${innovator.name} (${result.description_source.origin} ${result.description_source.ref})`);
+      console.log(`      - ${innovator.description}`);
+      console.log(`      + ${result.description}`);
+    } else {
+      remaining.push({ innovator, reasons: result.reasons });
+    }
+  }
+
+  console.log(`\nStill a placeholder (${remaining.length}):`);
+  for (const { innovator, reasons } of remaining) {
+    console.log(`  ! ${innovator.name}: ${reasons.join('; ')}`);
+  }
+
+  console.log(`\n${enriched.length} description(s) to update, ${remaining.length} still placeholders`);
+  if (!options.write) {
+    if (enriched.length > 0) console.log('Dry run: re-run with --write to apply');
+    return;
+  }
+  if (enriched.length === 0) {
+    console.log('Nothing to write');
+    return;
+  }
+  for (const { innovator, description, description_source } of enriched) {
+    mergeInnovator(innovator, { description, description_source });
+  }
+  saveServices(data);
+  console.log(`Written to ${SERVICES_PATH}`);
+}
+
+main().catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Local HTTP fixture for the privacy checker
+ *
+ * Serves two sites on consecutive ports:
+ *
+ *   http://127.0.0.1:<port>/      clean: no trackers or cookies, a privacy
+ *                                 policy link, security.txt, HSTS header
+ *   http://127.0.0.1:<port+1>/    tracked: Google Analytics, Meta pixel and
+ *                                 Hotjar, two cookies, nothing else
+ *
+ * Check them with
+ *   node scripts/check.js --checkers privacy --url http://127.0.0.1:4010/
+ *   node scripts/check.js --checkers privacy --url http://127.0.0.1:4011/
+ *
+ * or all at once, with the expected findings asserted, with
+ *   npm run verify:privacy
+ *
+ * HSTS is only honoured over HTTPS, so the clean site reports hsts: false
+ * here even though it sends the header (see hsts_max_age).
+ *
+ * Usage: node scripts/fixtures/privacy_server.js [--port 4010]
+ */
+
+import { createServer } from 'http';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+
+const CLEAN_PAGE = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Clean fixture</title>
+  <link rel="stylesheet" href="/style.css">
+  <script src="/app.js" defer></script>
+</head>
+<body>
+  <h1>Clean fixture</h1>
+  <img src="/logo.png" alt="">
+  <footer><a href="/legal/privacy">Privacy policy</a> · <a href="https://example.org/">Example</a></footer>
+</body>
+</html>`;
+
+const TRACKED_PAGE = `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Tracked fixture</title>
+  <script async src="https://www.googletagmanager.com/gtag/js?id=G-FIXTURE"></script>
+  <script>
+    window.dataLayer = window.dataLayer || [];
+    function gtag() { dataLayer.push(arguments); }
+    gtag('config', 'G-FIXTURE');
+    !function (f, b, e, v) { f.fbq = function () {}; }(window, document, 'script', 'https://connect.facebook.net/en_US/fbevents.js');
+  </script>
+  <script src="//static.hotjar.com/c/hotjar-1.js?sv=6"></script>
+</head>
+<body>
+  <h1>Tracked fixture</h1>
+  <img height="1" width="1" src="https://www.facebook.com/tr?id=1&amp;ev=PageView">
+</body>
+</html>`;
+
+const SECURITY_TXT = 'Contact: mailto:security@example.org\nExpires: 2030-01-01T00:00:00.000Z\n';
+
+function cleanSite(request, response) {
+  if (request.url === '/') {
+    response.writeHead(200, {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Strict-Transport-Security': 'max-age=31536000; includeSubDomains',
+    });
+    response.end(CLEAN_PAGE);
+  } else if (request.url === '/.well-known/security.txt') {
+    response.writeHead(200, { 'Content-Type': 'text/plain' });
+    response.end(SECURITY_TXT);
+  } else {
+    response.writeHead(404, { 'Content-Type': 'text/plain' });
+    response.end('Not found');
+  }
+}
+
+function trackedSite(request, response) {
+  if (request.url === '/') {
+    response.setHeader('Set-Cookie', ['_ga=GA1.1.1; Path=/; Max-Age=63072000', 'session=abc; Path=/; HttpOnly']);
+    response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    response.end(TRACKED_PAGE);
+  } else {
+    response.writeHead(404, { 'Content-Type': 'text/plain' });
+    response.end('Not found');
+  }
+}
+
+function listen(handler, port) {
+  return new Promise((resolve, reject) => {
+    const server = createServer(handler);
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Start both sites: the clean one on `port`, the tracked one on `port + 1`
+ * (any free ports with port 0). Resolves to `{ clean, tracked, close() }`
+ * with the sites' URLs.
+ */
+export async function startPrivacyFixture({ port = 0 } = {}) {
+  const clean = await listen(cleanSite, port);
+  const tracked = await listen(trackedSite, port === 0 ? 0 : port + 1);
+  const url = server => `http://127.0.0.1:${server.address().port}/`;
+  return {
+    clean: url(clean),
+    tracked: url(tracked),
+    close() {
+      for (const server of [clean, tracked]) {
+        server.closeAllConnections();
+        server.close();
+      }
+    },
+  };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { values } = parseArgs({ options: { port: { type: 'string', default: '4010' } } });
+  const fixture = await startPrivacyFixture({ port: Number(values.port) });
+  console.log(`clean    ${fixture.clean}`);
+  console.log(`tracked  ${fixture.tracked}`);
+  console.log('Press Ctrl+C to stop');
+}
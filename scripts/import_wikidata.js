@@ -3,192 +3,202 @@
 /**
  * Imports software data from Wikidata SPARQL endpoint
  * Fetches software from liberal democracies (excluding USA) with websites
+ *
+ * Results are merged into the existing services.json: candidates already
+ * listed (same QID or domain) are left alone, new ones are added unchecked.
+ * By default this only prints the diff; pass --write to save it.
+ *
+ * Items are harvested per class (instances of the class or of its subclasses
+ * up to --subclass-depth levels down), page by page. Labels and descriptions in the site's other languages
+ * (src/lib/locales.js) become the services' `translations`. Every raw response is cached in .cache/wikidata/ and can be
+ * replayed with --offline.
+ *
+ * On --write, the ownership chain of each added service (parent organization,
+ * owner and their jurisdictions; see lib/ownership.js) is looked up through
+ * the Wikidata API, unless --offline or --no-ownership is given.
+ *
+ * Usage: node scripts/import_wikidata.js [--write] [--offline] [--no-ownership]
+ *          [--class Q7397 --class Q35127 ...] [--no-subclasses]
+ *          [--subclass-depth 2] [--page-size 500] [--max-pages 20]
  */
 
-import { writeFileSync } from 'fs';
+import { parseArgs } from 'util';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { loadServices, saveServices, writeJsonAtomic, SERVICES_PATH } from './lib/store.js';
+import { planMerge, applyMerge, printPlan } from './lib/merge.js';
+import { fetchAllPages, CACHE_DIR } from './lib/sparql.js';
+import { classify, MIN_CONFIDENCE } from './lib/classifier.js';
+import { cleanDescription } from './lib/enrichment.js';
+import { resolveOwnership } from './lib/ownership.js';
+import { toCountryCode, regionOf, countryName } from '../src/lib/geography.js';
+import { LOCALES, DEFAULT_LOCALE } from '../src/lib/locales.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-const SPARQL_ENDPOINT = 'https://query.wikidata.org/sparql';
+// Low-confidence classifications are parked here for a human to sort
+const REVIEW_PATH = join(__dirname, '..', 'src', 'data', 'import_review.json');
+
+// Item classes harvested by default (overridable with --class)
+const DEFAULT_CLASSES = {
+  'Q7397': 'software',
+  'Q35127': 'website',
+  'Q19967801': 'online service',
+  'Q189210': 'web application',
+  'Q620615': 'mobile app',
+  'Q1058914': 'software company',
+};
 
-// Liberal democracies (Wikidata IDs) - excluding USA
+// Liberal democracies (Wikidata IDs → ISO 3166-1 alpha-2) - excluding USA
 // Based on Democracy Index, Freedom House ratings, and established democratic institutions
 const LIBERAL_DEMOCRACIES = {
   // Western Europe
-  'Q183': 'Germany',
-  'Q142': 'France',
-  'Q145': 'United Kingdom',
-  'Q39': 'Switzerland',
-  'Q55': 'Netherlands',
-  'Q34': 'Sweden',
-  'Q20': 'Norway',
-  'Q33': 'Finland',
-  'Q35': 'Denmark',
-  'Q40': 'Austria',
-  'Q31': 'Belgium',
-  'Q38': 'Italy',
-  'Q29': 'Spain',
-  'Q45': 'Portugal',
-  'Q27': 'Ireland',
-  'Q32': 'Luxembourg',
-  'Q189': 'Iceland',
+  'Q183': 'DE', // Germany
+  'Q142': 'FR', // France
+  'Q145': 'GB', // United Kingdom
+  'Q39': 'CH', // Switzerland
+  'Q55': 'NL', // Netherlands
+  'Q34': 'SE', // Sweden
+  'Q20': 'NO', // Norway
+  'Q33': 'FI', // Finland
+  'Q35': 'DK', // Denmark
+  'Q40': 'AT', // Austria
+  'Q31': 'BE', // Belgium
+  'Q38': 'IT', // Italy
+  'Q29': 'ES', // Spain
+  'Q45': 'PT', // Portugal
+  'Q27': 'IE', // Ireland
+  'Q32': 'LU', // Luxembourg
+  'Q189': 'IS', // Iceland
   // Central/Eastern Europe (EU democracies)
-  'Q213': 'Czech Republic',
-  'Q36': 'Poland',
-  'Q191': 'Estonia',
-  'Q211': 'Latvia',
-  'Q37': 'Lithuania',
-  'Q214': 'Slovakia',
-  'Q215': 'Slovenia',
-  'Q224': 'Croatia',
-  'Q41': 'Greece',
-  'Q233': 'Malta',
-  'Q229': 'Cyprus',
+  'Q213': 'CZ', // Czech Republic
+  'Q36': 'PL', // Poland
+  'Q191': 'EE', // Estonia
+  'Q211': 'LV', // Latvia
+  'Q37': 'LT', // Lithuania
+  'Q214': 'SK', // Slovakia
+  'Q215': 'SI', // Slovenia
+  'Q224': 'HR', // Croatia
+  'Q41': 'GR', // Greece
+  'Q233': 'MT', // Malta
+  'Q229': 'CY', // Cyprus
   // Asia-Pacific democracies
-  'Q17': 'Japan',
-  'Q884': 'South Korea',
-  'Q865': 'Taiwan',
-  'Q408': 'Australia',
-  'Q664': 'New Zealand',
+  'Q17': 'JP', // Japan
+  'Q884': 'KR', // South Korea
+  'Q865': 'TW', // Taiwan
+  'Q408': 'AU', // Australia
+  'Q664': 'NZ', // New Zealand
   // Americas (non-US)
-  'Q16': 'Canada',
-  'Q77': 'Uruguay',
-  'Q800': 'Costa Rica',
+  'Q16': 'CA', // Canada
+  'Q77': 'UY', // Uruguay
+  'Q800': 'CR', // Costa Rica
 };
 
+// Subclass levels followed by default; an unbounded wdt:P279* path over
+// "software" or "website" times out on the query service
+const DEFAULT_SUBCLASS_DEPTH = 2;
+
+// Languages fetched besides English, for the services' translations
+const TRANSLATED_LOCALES = LOCALES.filter(locale => locale !== DEFAULT_LOCALE);
+
 // Build SPARQL VALUES clause for liberal democracies
 const countryValues = Object.keys(LIBERAL_DEMOCRACIES)
   .map(id => `wd:${id}`)
   .join(' ');
 
-const SPARQL_QUERY = `
-SELECT DISTINCT ?item ?itemLabel ?website ?countryLabel ?countryCode WHERE {
+// One page of items of `classId`; the class hierarchy (P279) is followed
+// `subclassDepth` levels down, so e.g. "webmail" counts as "online service"
+function buildQuery(classId, { subclassDepth }, limit, offset) {
+  const instanceOf = `wdt:P31${'/wdt:P279?'.repeat(subclassDepth)}`;
+  // English labels of the properties the category classifier looks at
+  const labelsOf = (property, variable) => `
+  OPTIONAL {
+    ?item wdt:${property} ?${variable} .
+    ?${variable} rdfs:label ?${variable}Label .
+    FILTER(LANG(?${variable}Label) = "en")
+  }`;
+  // Label and description in each translated language (at most one of each per item)
+  const translations = TRANSLATED_LOCALES.map(locale => `
+  OPTIONAL { ?item rdfs:label ?label_${locale} . FILTER(LANG(?label_${locale}) = "${locale}") }
+  OPTIONAL { ?item schema:description ?desc_${locale} . FILTER(LANG(?desc_${locale}) = "${locale}") }`).join('');
+  const translationColumns = TRANSLATED_LOCALES
+    .map(locale => `(SAMPLE(?label_${locale}) AS ?name_${locale}) (SAMPLE(?desc_${locale}) AS ?description_${locale})`)
+    .join(' ');
+
+  return `
+SELECT ?item ?itemLabel ?itemDescription ?website ?countryLabel ?countryCode
+  (GROUP_CONCAT(DISTINCT ?typeLabel; separator="|") AS ?types)
+  (GROUP_CONCAT(DISTINCT ?useLabel; separator="|") AS ?uses)
+  (GROUP_CONCAT(DISTINCT ?genreLabel; separator="|") AS ?genres)
+  (GROUP_CONCAT(DISTINCT ?industryLabel; separator="|") AS ?industries)
+  ${translationColumns}
+WHERE {
   VALUES ?country { ${countryValues} }
 
-  ?item wdt:P31 wd:Q7397 .        # instance of software
+  ?item ${instanceOf} wd:${classId} .   # instance of the class
   ?item wdt:P495 ?country .        # has country of origin
   ?item wdt:P856 ?website .        # has official website
 
   OPTIONAL { ?country wdt:P297 ?countryCode . }  # ISO 3166-1 alpha-2 code
+${labelsOf('P31', 'type')}${labelsOf('P366', 'use')}${labelsOf('P136', 'genre')}${labelsOf('P452', 'industry')}${translations}
 
   SERVICE wikibase:label { bd:serviceParam wikibase:language "en" . }
 }
-LIMIT 100
+GROUP BY ?item ?itemLabel ?itemDescription ?website ?countryLabel ?countryCode
+ORDER BY ?item ?website ?countryLabel
+LIMIT ${limit}
+OFFSET ${offset}
 `;
-
-// Map country to region
-function getRegion(country) {
-  const regionMap = {
-    // Western Europe
-    'Germany': 'Western Europe', 'France': 'Western Europe',
-    'United Kingdom': 'Western Europe', 'Switzerland': 'Western Europe',
-    'Netherlands': 'Western Europe', 'Sweden': 'Northern Europe',
-    'Norway': 'Northern Europe', 'Finland': 'Northern Europe',
-    'Denmark': 'Northern Europe', 'Austria': 'Western Europe',
-    'Belgium': 'Western Europe', 'Spain': 'Southern Europe',
-    'Italy': 'Southern Europe', 'Portugal': 'Southern Europe',
-    'Ireland': 'Western Europe', 'Luxembourg': 'Western Europe',
-    'Iceland': 'Northern Europe', 'Greece': 'Southern Europe',
-    'Malta': 'Southern Europe', 'Cyprus': 'Southern Europe',
-    // Central/Eastern Europe
-    'Czech Republic': 'Central Europe', 'Czechia': 'Central Europe',
-    'Poland': 'Central Europe', 'Estonia': 'Baltic',
-    'Latvia': 'Baltic', 'Lithuania': 'Baltic',
-    'Slovakia': 'Central Europe', 'Slovenia': 'Central Europe',
-    'Croatia': 'Central Europe',
-    // Asia-Pacific
-    'Japan': 'East Asia', 'South Korea': 'East Asia',
-    'Taiwan': 'East Asia', 'Australia': 'Oceania',
-    'New Zealand': 'Oceania',
-    // Americas
-    'Canada': 'North America', 'Uruguay': 'South America',
-    'Costa Rica': 'Central America',
-    // Middle East
-    'Israel': 'Middle East',
-  };
-  return regionMap[country] || 'Other';
 }
 
 // Liberal democracies whitelist for post-filtering
 const ALLOWED_COUNTRIES = new Set(Object.values(LIBERAL_DEMOCRACIES));
 
-// Check if country is a liberal democracy
-function isLiberalDemocracy(country) {
-  // Direct match
-  if (ALLOWED_COUNTRIES.has(country)) return true;
-
-  // Handle variations
-  const normalized = country.toLowerCase().trim();
-  for (const allowed of ALLOWED_COUNTRIES) {
-    if (allowed.toLowerCase() === normalized) return true;
+async function fetchWikidataItems(classIds, options) {
+  console.log('Fetching items from liberal democracies...');
+  console.log(`Querying ${Object.keys(LIBERAL_DEMOCRACIES).length} countries, ${classIds.length} class(es)${options.offline ? ` from ${CACHE_DIR}` : ''}\n`);
+
+  const rows = [];
+  for (const classId of classIds) {
+    const subclasses = options.subclassDepth > 0 ? ` incl. subclasses (${options.subclassDepth} levels)` : '';
+    console.log(`${classId} (${DEFAULT_CLASSES[classId] ?? 'custom class'})${subclasses}`);
+    const bindings = await fetchAllPages(
+      (limit, offset) => buildQuery(classId, options, limit, offset),
+      options,
+    );
+    rows.push(...bindings);
   }
-
-  // Handle "Czechia" vs "Czech Republic"
-  if (normalized === 'czechia') return true;
-
-  return false;
-}
-
-// Generate a URL-safe ID from name
-function generateId(name) {
-  return name
-    .toLowerCase()
-    .replace(/[^a-z0-9]+/g, '-')
-    .replace(/^-|-$/g, '');
+  return rows;
 }
 
-// Group items by a simple category based on patterns
-function categorizeByName(name) {
-  const lowerName = name.toLowerCase();
-
-  if (lowerName.includes('mail') || lowerName.includes('email')) return 'Email';
-  if (lowerName.includes('office') || lowerName.includes('document') || lowerName.includes('word')) return 'Office Suite';
-  if (lowerName.includes('browser')) return 'Browser';
-  if (lowerName.includes('cloud') || lowerName.includes('storage') || lowerName.includes('drive')) return 'Cloud Storage';
-  if (lowerName.includes('chat') || lowerName.includes('messenger') || lowerName.includes('message')) return 'Messaging';
-  if (lowerName.includes('video') || lowerName.includes('stream')) return 'Video';
-  if (lowerName.includes('music') || lowerName.includes('audio')) return 'Music';
-  if (lowerName.includes('photo') || lowerName.includes('image')) return 'Photos';
-  if (lowerName.includes('map')) return 'Maps';
-  if (lowerName.includes('search')) return 'Search';
-
-  return 'Software';
-}
-
-async function fetchWikidataItems() {
-  console.log('Fetching software from liberal democracies...');
-  console.log(`Querying ${Object.keys(LIBERAL_DEMOCRACIES).length} countries\n`);
-
-  const url = new URL(SPARQL_ENDPOINT);
-  url.searchParams.set('query', SPARQL_QUERY);
-  url.searchParams.set('format', 'json');
-
-  const response = await fetch(url.toString(), {
-    headers: {
-      'Accept': 'application/sparql-results+json',
-      'User-Agent': 'GlobalBalanceEngine/1.0 (https://github.com/global-balance-engine)'
-    }
-  });
-
-  if (!response.ok) {
-    throw new Error(`Wikidata query failed: ${response.status} ${response.statusText}`);
+// Non-English names and descriptions of a row, keyed by locale; a name
+// that is the same as the English one is left out
+function translationsOf(item, name) {
+  const translations = {};
+  for (const locale of TRANSLATED_LOCALES) {
+    const translation = {};
+    const localName = item[`name_${locale}`]?.value;
+    const description = item[`description_${locale}`]?.value;
+    if (localName && localName !== name) translation.name = localName;
+    if (description) translation.description = description;
+    if (Object.keys(translation).length > 0) translations[locale] = translation;
   }
-
-  const data = await response.json();
-  return data.results.bindings;
+  return translations;
 }
 
-function transformToServicesSchema(wikidataItems) {
-  const categoryMap = new Map();
+// Turn SPARQL rows into merge candidates (see lib/merge.js)
+function transformToCandidates(wikidataItems) {
+  const candidates = [];
   let skippedCount = 0;
 
   for (const item of wikidataItems) {
     const name = item.itemLabel?.value || 'Unknown';
     const website = item.website?.value || '';
-    const country = item.countryLabel?.value || 'Unknown';
+    // P297 when Wikidata has it, otherwise the English label
+    const country = item.countryCode?.value ?? toCountryCode(item.countryLabel?.value);
+    const qid = item.item?.value.split('/').pop() ?? null;
+    const list = binding => (binding?.value ? binding.value.split('|') : []);
 
     // Skip items without proper data
     if (!website || name === 'Unknown') continue;
@@ -197,89 +207,133 @@ function transformToServicesSchema(wikidataItems) {
     if (/^Q\d+$/.test(name)) continue;
 
     // Double-check: only allow liberal democracies
-    if (!isLiberalDemocracy(country)) {
+    if (!ALLOWED_COUNTRIES.has(country)) {
       skippedCount++;
       continue;
     }
 
-    const category = categorizeByName(name);
-    const region = getRegion(country);
-
-    const innovator = {
-      id: generateId(name),
-      name: name,
-      region: region,
-      country: country,
+    const classification = classify({
+      name,
+      description: item.itemDescription?.value,
+      types: list(item.types),
+      uses: list(item.uses),
+      genres: list(item.genres),
+      industries: list(item.industries),
+    });
+    const lowConfidence = classification.confidence < MIN_CONFIDENCE;
+    // The item's own description when it is usable, a placeholder otherwise
+    const description = cleanDescription(item.itemDescription?.value, name);
+
+    candidates.push({
+      qid,
+      name,
+      region: regionOf(country),
+      country,
       url: website,
-      description: `${name} - Software from ${country}`,
-      status: {
-        is_active: false,
-        last_checked: null,
-        http_code: 0
-      }
-    };
-
-    if (!categoryMap.has(category)) {
-      categoryMap.set(category, {
-        category: category,
-        incumbent: { name: 'Various', hq: 'USA' },
-        innovators: []
-      });
-    }
-
-    // Avoid duplicate IDs within a category
-    const existing = categoryMap.get(category).innovators;
-    if (!existing.some(i => i.id === innovator.id)) {
-      existing.push(innovator);
-    }
+      description: description ?? `${name} - Software from ${countryName(country)}`,
+      descriptionSource: description ? { origin: 'wikidata', ref: qid } : { origin: 'placeholder' },
+      translations: translationsOf(item, name),
+      category: classification.category,
+      classification,
+      review: lowConfidence
+        ? `category ${classification.category ?? 'unknown'} at confidence ${classification.confidence}`
+        : null,
+    });
   }
 
   if (skippedCount > 0) {
     console.log(`Skipped ${skippedCount} items from non-liberal democracies`);
   }
 
-  // Convert map to array and sort by category
-  return Array.from(categoryMap.values()).sort((a, b) =>
-    a.category.localeCompare(b.category)
-  );
+  return candidates;
+}
+
+// Record who owns each new service (only the API knows; not cached)
+async function addOwnership(innovators) {
+  const qids = innovators.map(innovator => innovator.trust_data.wikidata_id).filter(Boolean);
+  if (qids.length === 0) return;
+  console.log(`Looking up the owners of ${qids.length} new service(s)...`);
+  const ownership = await resolveOwnership(qids);
+  for (const innovator of innovators) {
+    const record = ownership[innovator.trust_data.wikidata_id];
+    if (record) innovator.ownership = record;
+  }
+}
+
+// A whole-number flag of at least `min`; anything else would page forever or not at all
+function integerFlag(values, name, min) {
+  const value = Number(values[name]);
+  if (!Number.isInteger(value) || value < min) {
+    throw new Error(`--${name} expects ${min === 1 ? 'a positive integer' : `an integer of at least ${min}`}, got ${JSON.stringify(values[name])}`);
+  }
+  return value;
 }
 
 async function main() {
+  const { values } = parseArgs({
+    options: {
+      write: { type: 'boolean', default: false },
+      offline: { type: 'boolean', default: false },
+      class: { type: 'string', multiple: true },
+      'no-subclasses': { type: 'boolean', default: false },
+      'subclass-depth': { type: 'string', default: String(DEFAULT_SUBCLASS_DEPTH) },
+      'no-ownership': { type: 'boolean', default: false },
+      'page-size': { type: 'string', default: '500' },
+      'max-pages': { type: 'string', default: '20' },
+    },
+  });
+
   try {
-    const wikidataItems = await fetchWikidataItems();
+    const classIds = values.class ?? Object.keys(DEFAULT_CLASSES);
+    const invalid = classIds.filter(id => !/^Q\d+$/.test(id));
+    if (invalid.length > 0) throw new Error(`--class expects QIDs, got ${invalid.join(', ')}`);
+    const pageSize = integerFlag(values, 'page-size', 1);
+    const maxPages = integerFlag(values, 'max-pages', 1);
+    const subclassDepth = values['no-subclasses'] ? 0 : integerFlag(values, 'subclass-depth', 0);
+
+    const wikidataItems = await fetchWikidataItems(classIds, {
+      offline: values.offline,
+      subclassDepth,
+      pageSize,
+      maxPages,
+    });
     console.log(`Fetched ${wikidataItems.length} items from Wikidata`);
 
-    const services = transformToServicesSchema(wikidataItems);
-    console.log(`Grouped into ${services.length} categories`);
-
-    // Count total innovators
-    const totalInnovators = services.reduce((sum, cat) => sum + cat.innovators.length, 0);
-    console.log(`Total innovators: ${totalInnovators}`);
+    const candidates = transformToCandidates(wikidataItems);
+    const data = loadServices();
+    const plan = planMerge(data, candidates);
+    printPlan(plan);
 
-    // Write to services.json
-    const outputPath = join(__dirname, '..', 'src', 'data', 'services.json');
-    writeFileSync(outputPath, JSON.stringify(services, null, 2));
-    console.log(`\nWritten to ${outputPath}`);
-
-    // Print summary by country
-    const countryCounts = {};
-    for (const cat of services) {
-      for (const inv of cat.innovators) {
-        countryCounts[inv.country] = (countryCounts[inv.country] || 0) + 1;
-      }
+    console.log(`\n${plan.added.length} to add, ${plan.updated.length} to update, ${plan.review.length} to review, ${plan.skipped.length} skipped`);
+    if (!values.write) {
+      console.log('Dry run: re-run with --write to apply');
+      return;
     }
-
-    console.log('\nBy Country:');
-    const sortedCountries = Object.entries(countryCounts).sort((a, b) => b[1] - a[1]);
-    for (const [country, count] of sortedCountries) {
-      console.log(`  ${country}: ${count}`);
+    if (plan.added.length === 0 && plan.updated.length === 0 && plan.review.length === 0) {
+      console.log('Nothing to write');
+      return;
     }
 
-    console.log('\nBy Category:');
-    for (const cat of services) {
-      console.log(`  ${cat.category}: ${cat.innovators.length} innovators`);
+    if (!values.offline && !values['no-ownership']) await addOwnership(plan.added.map(({ innovator }) => innovator));
+
+    // Write to services.json (validated, with a backup of the previous file)
+    if (plan.added.length > 0 || plan.updated.length > 0) {
+      saveServices(applyMerge(data, plan));
+      console.log(`Written to ${SERVICES_PATH}`);
     }
 
+    if (plan.review.length > 0) {
+      writeJsonAtomic(REVIEW_PATH, plan.review.map(({ candidate }) => ({
+        qid: candidate.qid,
+        name: candidate.name,
+        url: candidate.url,
+        country: candidate.country,
+        suggested_category: candidate.category,
+        confidence: candidate.classification.confidence,
+        signals: candidate.classification.signals,
+      })));
+      console.log(`${plan.review.length} item(s) need a category; see ${REVIEW_PATH}`);
+    }
   } catch (error) {
     console.error('Error:', error.message);
     process.exit(1);
@@ -0,0 +1,111 @@
+/**
+ * Changelog of dataset changes, kept in src/data/changelog.json
+ *
+ * Each entry describes what changed between two versions of services.json,
+ * newest entry first:
+ *
+ *   { date, added, removed, down, recovered, trust }
+ *
+ * added/removed/down/recovered list `{ id, name, category, country }` (down
+ * also has the failing check's `reason`); trust lists verification changes
+ * as `{ id, name, signal, from, to }`. The site renders the file as the
+ * /changes/ page and the /changes.xml Atom feed; the one-line summary of an
+ * entry is src/lib/changeSummary.js, shared with them.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { listInnovators, writeJsonAtomic } from './store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const CHANGELOG_PATH = join(__dirname, '..', '..', 'src', 'data', 'changelog.json');
+
+// Kept in the file; older entries drop off the end
+const MAX_ENTRIES = 200;
+
+// trust_data fields whose changes are reported, by signal name
+const TRUST_SIGNALS = {
+  trustpilot: 'trustpilot_status',
+  wikidata: 'wikidata_status',
+  privacy: 'privacy_status',
+};
+
+export function loadChangelog({ path = CHANGELOG_PATH } = {}) {
+  if (!existsSync(path)) return [];
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+export function saveChangelog(entries, { path = CHANGELOG_PATH } = {}) {
+  writeJsonAtomic(path, entries.slice(0, MAX_ENTRIES));
+}
+
+function byId(data) {
+  return new Map(listInnovators(data).map(entry => [entry.innovator.id, entry]));
+}
+
+function describe({ category, innovator }) {
+  return { id: innovator.id, name: innovator.name, category: category.category, country: innovator.country };
+}
+
+/**
+ * What changed from `before` to `after` (both services.json contents).
+ * `date` is recorded on the entry as is.
+ */
+export function diffDatasets(before, after, date) {
+  const old = byId(before);
+  const current = byId(after);
+  const entry = { date, added: [], removed: [], down: [], recovered: [], trust: [] };
+
+  for (const [id, now] of current) {
+    const was = old.get(id);
+    if (!was) {
+      entry.added.push(describe(now));
+      continue;
+    }
+
+    const wasActive = was.innovator.status?.is_active === true;
+    const isActive = now.innovator.status?.is_active === true;
+    if (wasActive && !isActive) {
+      const reason = now.innovator.trust_data?.checks?.website?.reason ?? `HTTP ${now.innovator.status.http_code}`;
+      entry.down.push({ ...describe(now), reason });
+    } else if (!wasActive && isActive) {
+      entry.recovered.push(describe(now));
+    }
+
+    for (const [signal, field] of Object.entries(TRUST_SIGNALS)) {
+      const from = was.innovator.trust_data?.[field] ?? 'unchecked';
+      const to = now.innovator.trust_data?.[field] ?? 'unchecked';
+      if (from !== to) entry.trust.push({ id, name: now.innovator.name, signal, from, to });
+    }
+  }
+  for (const [id, was] of old) {
+    if (!current.has(id)) entry.removed.push(describe(was));
+  }
+
+  return entry;
+}
+
+export function isEmptyEntry(entry) {
+  return ['added', 'removed', 'down', 'recovered', 'trust'].every(kind => entry[kind].length === 0);
+}
+
+/**
+ * The entry as readable lines, one per change
+ */
+export function formatEntry(entry) {
+  const lines = [];
+  const section = (title, items, format) => {
+    if (items.length === 0) return;
+    lines.push(`${title} (${items.length}):`);
+    for (const item of items) lines.push(`  ${format(item)}`);
+  };
+  section('Added', entry.added, s => `+ ${s.name} [${s.category}, ${s.country}]`);
+  section('Removed', entry.removed, s => `- ${s.name} [${s.category}, ${s.country}]`);
+  section('Went down', entry.down, s => `↓ ${s.name}: ${s.reason}`);
+  section('Recovered', entry.recovered, s => `↑ ${s.name}`);
+  section('Trust verification', entry.trust, t => `~ ${t.name}: ${t.signal} ${t.from} → ${t.to}`);
+  return lines;
+}
@@ -0,0 +1,100 @@
+/**
+ * Assigns imported Wikidata items to the site's categories
+ *
+ * Each category has keywords that are matched against the English labels of
+ * an item's instance of (P31), has use (P366), genre (P136) and industry
+ * (P452) values, and against its description and name. Property matches
+ * weigh more than description matches, which weigh more than name matches.
+ *
+ * The result carries a confidence between 0 and 1; items below
+ * MIN_CONFIDENCE should be reviewed by a human rather than imported.
+ */
+
+export const MIN_CONFIDENCE = 0.5;
+
+// Keep in sync with the categories in src/data/services.json
+export const CATEGORY_KEYWORDS = {
+  'Communication': [
+    'email', 'e-mail', 'webmail', 'mail client', 'messaging', 'messenger', 'instant messaging',
+    'chat', 'voip', 'video conferencing', 'videoconferencing', 'telephony', 'live chat',
+  ],
+  'Productivity & Tools': [
+    'office suite', 'word processor', 'spreadsheet', 'note-taking', 'project management',
+    'collaboration', 'collaborative', 'calendar', 'productivity', 'customer relationship management',
+    'crm', 'time tracking', 'password manager', 'accounting', 'form builder', 'file hosting',
+    'cloud storage', 'file synchronization', 'task management', 'diagram', 'design tool',
+  ],
+  'Social': [
+    'social network', 'social media', 'social networking', 'microblogging', 'internet forum',
+    'online community', 'fediverse', 'online dating',
+  ],
+  'Information & Browsers': [
+    'web browser', 'browser', 'search engine', 'web search', 'news aggregator', 'online encyclopedia',
+    'web mapping', 'map service', 'machine translation', 'translation service', 'wiki',
+  ],
+  'Electric Vehicles': [
+    'electric vehicle', 'electric car', 'battery electric', 'automobile manufacturer',
+    'car manufacturer', 'electric motorcycle', 'electric scooter', 'charging station',
+  ],
+  'Cloud Infrastructure': [
+    'cloud computing', 'web hosting', 'hosting service', 'hosting provider',
+    'infrastructure as a service', 'platform as a service', 'data center', 'content delivery network',
+    'virtual private server', 'domain registrar', 'object storage',
+  ],
+  'Entertainment': [
+    'streaming', 'video on demand', 'music streaming', 'streaming media', 'podcast', 'video sharing',
+    'television', 'music service', 'audiobook', 'video game',
+  ],
+  'E-Commerce': [
+    'e-commerce', 'ecommerce', 'online shopping', 'online marketplace', 'marketplace', 'online retailer',
+    'retail', 'online shop',
+  ],
+};
+
+const SOURCE_WEIGHTS = { property: 2, description: 1, name: 0.5 };
+// Score at which a clear winner counts as fully confident
+const SATURATION_SCORE = 3;
+
+function matches(text, keyword) {
+  // Whole words only, so "mail" doesn't fire on "Mailand" and "crm" not on "acrm"
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z])${escaped}([^a-z]|$)`).test(text);
+}
+
+/**
+ * Classify an item described by
+ * `{ name, description?, types?: string[], uses?: string[], genres?: string[], industries?: string[] }`
+ * (the arrays hold English labels).
+ *
+ * Returns `{ category, confidence, signals }`; `category` is null when
+ * nothing matched at all.
+ */
+export function classify(item) {
+  const sources = [
+    ['property', [...(item.types ?? []), ...(item.uses ?? []), ...(item.genres ?? []), ...(item.industries ?? [])]],
+    ['description', item.description ? [item.description] : []],
+    ['name', item.name ? [item.name] : []],
+  ];
+
+  const scores = {};
+  const signals = [];
+  for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+    for (const [source, texts] of sources) {
+      for (const text of texts) {
+        const lower = text.toLowerCase();
+        const keyword = keywords.find(k => matches(lower, k));
+        if (!keyword) continue;
+        scores[category] = (scores[category] ?? 0) + SOURCE_WEIGHTS[source];
+        signals.push({ category, source, keyword, text });
+      }
+    }
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0) return { category: null, confidence: 0, signals };
+
+  const [[category, top]] = ranked;
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  const confidence = (top / total) * Math.min(1, top / SATURATION_SCORE);
+  return { category, confidence: Math.round(confidence * 100) / 100, signals };
+}
@@ -0,0 +1,372 @@
+/**
+ * Polite HTTP client shared by the checkers, the importer and the
+ * enrichment: every outgoing request goes through `client.fetch()`.
+ *
+ *   concurrency   at most `concurrency` requests in flight overall
+ *   per host      requests to one host go one at a time, at least
+ *                 `intervalMs` apart (HOST_INTERVALS, or a longer
+ *                 Crawl-delay from the host's robots.txt)
+ *   robots.txt    checked before fetching a site's pages; a disallowed
+ *                 URL throws RobotsDisallowedError. APIs (`robots: false`)
+ *                 follow their own usage policies instead.
+ *   retries       429, 502, 503, 504 and dropped connections are retried
+ *                 with exponential backoff, or after the server's
+ *                 Retry-After, which also holds back the host's queue
+ *   cache         with `cache: true`, GET responses carrying an ETag or
+ *                 Last-Modified (and a body of at most 1 MB) are kept in
+ *                 HTTP_CACHE_DIR and revalidated with If-None-Match /
+ *                 If-Modified-Since next time; a 304 is answered from the
+ *                 cache as a 200
+ *   timeout       `timeoutMs` covers each attempt from the request until its
+ *                 body has been read or cancelled
+ *
+ * Requests identify themselves with USER_AGENT. Set CRAWLER_CONTACT (a URL
+ * or e-mail address) to tell site owners how to reach whoever runs them.
+ */
+
+import { readFileSync, existsSync, mkdirSync } from 'fs';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { writeJsonAtomic } from './store.js';
+import { parseRobots, isAllowed } from './robots.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const HTTP_CACHE_DIR = join(__dirname, '..', '..', '.cache', 'http');
+
+/** Product token matched against robots.txt User-agent lines */
+export const ROBOTS_AGENT = 'GlobalBalanceEngine';
+const CONTACT = process.env.CRAWLER_CONTACT;
+export const USER_AGENT = `${ROBOTS_AGENT}/1.1 (service directory checker${CONTACT ? `; +${CONTACT}` : ''})`;
+export const DEFAULT_TIMEOUT_MS = 10000;
+
+// Minimum gap between requests to a host, in ms; others get DEFAULT_INTERVAL_MS
+export const HOST_INTERVALS = {
+  'www.wikidata.org': 250,
+  'query.wikidata.org': 1000,
+  'www.trustpilot.com': 2000,
+};
+const DEFAULT_INTERVAL_MS = 1000;
+const DEFAULT_CONCURRENCY = 4;
+
+const RETRY_STATUSES = new Set([429, 502, 503, 504]);
+const RETRY_ERROR_CODES = new Set(['ECONNRESET', 'EPIPE', 'UND_ERR_SOCKET']);
+const DEFAULT_RETRIES = 2;
+const BACKOFF_BASE_MS = 1000;
+// A longer Retry-After gives up rather than stalling the run
+const MAX_WAIT_MS = 120000;
+const MAX_CRAWL_DELAY_MS = 30000;
+// Larger bodies are passed through uncached
+const MAX_CACHED_BYTES = 1024 * 1024;
+
+/** A URL that the site's robots.txt asks us not to fetch */
+export class RobotsDisallowedError extends Error {
+  constructor(url) {
+    super(`robots.txt disallows ${url}`);
+    this.name = 'RobotsDisallowedError';
+    this.url = url;
+  }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// A stream of `chunks` followed by whatever `reader` still has; `onEnd` is
+// called once the stream ends, fails or is cancelled
+function replayStream(chunks, reader, onEnd = () => {}) {
+  const pending = [...chunks];
+  return new ReadableStream({
+    async pull(controller) {
+      if (pending.length > 0) {
+        controller.enqueue(pending.shift());
+        return;
+      }
+      try {
+        const { done, value } = reader ? await reader.read() : { done: true };
+        if (done) {
+          onEnd();
+          controller.close();
+        } else {
+          controller.enqueue(value);
+        }
+      } catch (error) {
+        onEnd();
+        controller.error(error);
+      }
+    },
+    cancel(reason) {
+      onEnd();
+      return reader?.cancel(reason);
+    },
+  });
+}
+
+// `response` with another body, keeping its status, headers and url
+function withBody(response, body) {
+  const copy = new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+  Object.defineProperty(copy, 'url', { value: response.url });
+  Object.defineProperty(copy, 'redirected', { value: response.redirected });
+  return copy;
+}
+
+/**
+ * fetch() with an abort timeout and the shared user agent, nothing else.
+ * The timeout stays armed until the body has been read or cancelled, so a
+ * server that trickles its body can't stall the caller.
+ */
+export async function fetchWithTimeout(url, { timeoutMs = DEFAULT_TIMEOUT_MS, headers = {}, ...options } = {}) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  const disarm = () => clearTimeout(timeoutId);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      redirect: 'follow',
+      ...options,
+      headers: { 'User-Agent': USER_AGENT, ...headers },
+      signal: controller.signal,
+    });
+  } catch (error) {
+    disarm();
+    throw error;
+  }
+  if (!response.body) {
+    disarm();
+    return response;
+  }
+  return withBody(response, replayStream([], response.body.getReader(), disarm));
+}
+
+/**
+ * Milliseconds a Retry-After header asks us to wait (seconds or an HTTP
+ * date), or null
+ */
+export function retryAfterMs(header, now = Date.now()) {
+  if (!header) return null;
+  if (/^\d+$/.test(header.trim())) return Number(header) * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+function backoffMs(attempt) {
+  const delay = BACKOFF_BASE_MS * 2 ** attempt;
+  return delay + Math.random() * delay * 0.25;
+}
+
+// At most `limit` calls of `task` running at once
+function createLimiter(limit) {
+  let active = 0;
+  const waiting = [];
+  const limiter = {
+    limit,
+    async run(task) {
+      // A finishing task hands its slot straight to the next waiting one
+      if (active >= limiter.limit) await new Promise(resolve => waiting.push(resolve));
+      else active++;
+      try {
+        return await task();
+      } finally {
+        const next = waiting.shift();
+        if (next) next();
+        else active--;
+      }
+    },
+  };
+  return limiter;
+}
+
+function cachePath(url, cacheDir) {
+  return join(cacheDir, `${createHash('sha256').update(url).digest('hex').slice(0, 16)}.json`);
+}
+
+function readCache(url, cacheDir) {
+  const path = cachePath(url, cacheDir);
+  return existsSync(path) ? JSON.parse(readFileSync(path, 'utf-8')) : null;
+}
+
+function headerPairs(headers) {
+  const pairs = [...headers].filter(([name]) => name !== 'set-cookie');
+  const cookies = typeof headers.getSetCookie === 'function' ? headers.getSetCookie() : [];
+  return [...pairs, ...cookies.map(cookie => ['set-cookie', cookie])];
+}
+
+// A Response that looks like the original one, with `url` still set
+function cachedResponse(entry, headers) {
+  const response = new Response(entry.body, { status: entry.status, headers });
+  Object.defineProperty(response, 'url', { value: entry.final_url });
+  return response;
+}
+
+// Read up to just over `limit` bytes of a body. `complete` tells whether
+// that was all of it; if not, `reader` holds the rest.
+async function bufferBody(body, limit) {
+  const reader = body.getReader();
+  const chunks = [];
+  let bytes = 0;
+  while (bytes <= limit) {
+    const { done, value } = await reader.read();
+    if (done) return { chunks, bytes, complete: true };
+    chunks.push(value);
+    bytes += value.byteLength;
+  }
+  return { chunks, bytes, complete: false, reader };
+}
+
+// Store a cacheable 200 and hand back an equivalent response (the body can only be read once)
+async function storeResponse(url, response, cacheDir) {
+  const etag = response.headers.get('etag');
+  const lastModified = response.headers.get('last-modified');
+  // Chunked responses have no Content-Length; their size is known once read
+  const declared = Number(response.headers.get('content-length') ?? 0);
+  if (response.status !== 200 || (!etag && !lastModified) || !response.body || declared > MAX_CACHED_BYTES) return response;
+
+  const { chunks, complete, reader } = await bufferBody(response.body, MAX_CACHED_BYTES);
+  if (!complete) return withBody(response, replayStream(chunks, reader));
+
+  const entry = {
+    url,
+    final_url: response.url || url,
+    status: response.status,
+    etag,
+    last_modified: lastModified,
+    headers: headerPairs(response.headers),
+    body: Buffer.concat(chunks).toString('utf-8'),
+    stored_at: new Date().toISOString(),
+  };
+  mkdirSync(cacheDir, { recursive: true });
+  writeJsonAtomic(cachePath(url, cacheDir), entry);
+  return cachedResponse(entry, entry.headers);
+}
+
+// A 304 updates the stored headers (RFC 9111 §4.3.4); the body is the cached one
+function revalidated(entry, response) {
+  const fresh = headerPairs(response.headers);
+  const names = new Set(fresh.map(([name]) => name));
+  const headers = [...entry.headers.filter(([name]) => !names.has(name)), ...fresh, ['x-cache', 'revalidated']];
+  return cachedResponse(entry, headers);
+}
+
+/**
+ * Create a client. Options: `concurrency`, `intervalMs` (default per-host
+ * gap), `hostIntervals`, `retries`, `cacheDir`. See the top of this file.
+ */
+export function createClient({
+  concurrency = DEFAULT_CONCURRENCY, intervalMs = DEFAULT_INTERVAL_MS, hostIntervals = HOST_INTERVALS,
+  retries = DEFAULT_RETRIES, cacheDir = HTTP_CACHE_DIR,
+} = {}) {
+  const pool = createLimiter(concurrency);
+  const hosts = new Map();
+  const robotsByOrigin = new Map();
+
+  function hostState(host) {
+    if (!hosts.has(host)) hosts.set(host, { queue: Promise.resolve(), nextAt: 0, intervalMs: hostIntervals[host] ?? intervalMs });
+    return hosts.get(host);
+  }
+
+  // Run `task` in the host's queue: one at a time, spaced by its interval
+  function inHostQueue(host, task) {
+    const state = hostState(host);
+    const result = state.queue.then(task);
+    state.queue = result.catch(() => {});
+    return result;
+  }
+
+  // One attempt, waiting for the host's turn and a pool slot
+  async function attempt(url, state, options) {
+    const wait = state.nextAt - Date.now();
+    if (wait > 0) await sleep(wait);
+    state.nextAt = Date.now() + state.intervalMs;
+    return pool.run(() => fetchWithTimeout(url, options));
+  }
+
+  async function send(url, { retries: maxRetries = retries, ...options }) {
+    const state = hostState(url.host);
+    for (let tries = 0; ; tries++) {
+      let response;
+      try {
+        response = await attempt(url, state, options);
+      } catch (error) {
+        const code = error?.cause?.code;
+        if (tries >= maxRetries || !RETRY_ERROR_CODES.has(code)) throw error;
+        await sleep(backoffMs(tries));
+        continue;
+      }
+      if (!RETRY_STATUSES.has(response.status) || tries >= maxRetries) return response;
+
+      const wait = retryAfterMs(response.headers.get('retry-after')) ?? backoffMs(tries);
+      if (wait > MAX_WAIT_MS) return response;
+      await response.body?.cancel();
+      // Everything else bound for this host waits too
+      state.nextAt = Math.max(state.nextAt, Date.now() + wait);
+    }
+  }
+
+  async function robotsFor(url) {
+    const { origin, host } = url;
+    if (!robotsByOrigin.has(origin)) {
+      robotsByOrigin.set(origin, (async () => {
+        try {
+          const response = await inHostQueue(host, () => conditional(new URL('/robots.txt', origin), { retries: 0 }));
+          // No robots.txt (or none we can read) allows everything; an
+          // unreachable site is reported by the request itself
+          if (!response.ok) {
+            await response.body?.cancel();
+            return { rules: [], crawlDelayMs: null };
+          }
+          return parseRobots(await response.text(), ROBOTS_AGENT);
+        } catch {
+          return { rules: [], crawlDelayMs: null };
+        }
+      })());
+    }
+    const robots = await robotsByOrigin.get(origin);
+    if (robots.crawlDelayMs) {
+      const state = hostState(host);
+      state.intervalMs = Math.max(state.intervalMs, Math.min(robots.crawlDelayMs, MAX_CRAWL_DELAY_MS));
+    }
+    return robots;
+  }
+
+  // send(), revalidating against and refreshing the response cache
+  async function conditional(url, options) {
+    const entry = readCache(url.href, cacheDir);
+    const headers = { ...options.headers };
+    if (entry?.etag) headers['If-None-Match'] = entry.etag;
+    if (entry?.last_modified) headers['If-Modified-Since'] = entry.last_modified;
+
+    const response = await send(url, { ...options, headers });
+    if (response.status === 304 && entry) return revalidated(entry, response);
+    return storeResponse(url.href, response, cacheDir);
+  }
+
+  return {
+    pool,
+
+    /**
+     * fetch() through the pool and the host's queue. Extra options:
+     * `timeoutMs` (per attempt), `retries`, `robots` (default true),
+     * `cache` (GET only, default false).
+     */
+    async fetch(input, { robots = true, cache = false, ...options } = {}) {
+      const url = new URL(input);
+      if (robots && !isAllowed((await robotsFor(url)).rules, `${url.pathname}${url.search}`)) {
+        throw new RobotsDisallowedError(url.href);
+      }
+      const method = (options.method ?? 'GET').toUpperCase();
+      return inHostQueue(url.host, () =>
+        cache && method === 'GET' ? conditional(url, options) : send(url, options));
+    },
+  };
+}
+
+/** The client everything shares */
+export const client = createClient();
+
+/**
+ * Change the shared client's global concurrency (e.g. from a --concurrency flag)
+ */
+export function setConcurrency(concurrency) {
+  client.pool.limit = Math.max(1, concurrency);
+}
@@ -0,0 +1,137 @@
+/**
+ * Description enrichment: replace placeholder descriptions with real short
+ * ones from Wikidata and the service's own homepage metadata
+ *
+ * Only descriptions classified as placeholders (see src/lib/descriptions.js)
+ * are ever replaced, so hand-written text is never touched. Each replacement
+ * records its `description_source`.
+ */
+
+import { classifyError, readText } from './http.js';
+import { client } from './client.js';
+import { decodeEntities, findTags } from './html.js';
+import { getEntities } from './wikidata.js';
+import { descriptionOrigin, isPlaceholderDescription } from '../../src/lib/descriptions.js';
+
+export const ENRICHMENT_SOURCES = ['wikidata', 'homepage'];
+
+// Bounds for a usable description, in characters and words
+const MIN_LENGTH = 20;
+const MIN_WORDS = 3;
+const MAX_LENGTH = 200;
+// Only the <head> matters; stop reading pages after this much
+const MAX_HTML_BYTES = 512 * 1024;
+
+// Homepage tags, best first
+const META_TAGS = ['og:description', 'description', 'twitter:description'];
+
+/**
+ * Tidy a candidate description: collapse whitespace, capitalize, shorten to
+ * a sentence boundary (or a word boundary with "…") within MAX_LENGTH.
+ * Returns null when it is too short, just the name, or itself a placeholder.
+ */
+export function cleanDescription(text, name) {
+  let clean = decodeEntities(text ?? '').replace(/\s+/g, ' ').trim();
+  if (clean.length > MAX_LENGTH) {
+    const cut = clean.slice(0, MAX_LENGTH);
+    const sentenceEnd = Math.max(cut.lastIndexOf('. '), cut.lastIndexOf('! '), cut.lastIndexOf('? '));
+    clean = sentenceEnd >= MIN_LENGTH
+      ? cut.slice(0, sentenceEnd + 1)
+      : `${cut.slice(0, cut.lastIndexOf(' ')).replace(/[\s,;:–—-]+$/, '')}…`;
+  }
+  clean = clean.charAt(0).toUpperCase() + clean.slice(1);
+
+  if (clean.length < MIN_LENGTH || clean.split(' ').length < MIN_WORDS) return null;
+  if (clean.toLowerCase() === name.toLowerCase() || isPlaceholderDescription(clean, name)) return null;
+  return clean;
+}
+
+/**
+ * Description-like <meta> tags of an HTML page as `{ tag: content }`
+ */
+export function extractMetaDescriptions(html) {
+  const head = html.split(/<\/head>/i)[0];
+  const found = {};
+  for (const attributes of findTags(head, 'meta')) {
+    const key = (attributes.property ?? attributes.name ?? '').toLowerCase();
+    if (META_TAGS.includes(key) && attributes.content && !(key in found)) found[key] = attributes.content;
+  }
+  return found;
+}
+
+/**
+ * Best description in the homepage's metadata.
+ * Resolves to `{ text, ref }`, `{ text: null, reason }` when there is none;
+ * never throws.
+ */
+export async function homepageDescription(innovator) {
+  try {
+    const response = await client.fetch(innovator.url, { cache: true, headers: { Accept: 'text/html' } });
+    if (!response.ok) {
+      await response.body?.cancel();
+      return { text: null, reason: `http_${response.status}` };
+    }
+    if (!/html/i.test(response.headers.get('content-type') ?? '')) {
+      await response.body?.cancel();
+      return { text: null, reason: 'not_html' };
+    }
+    const tags = extractMetaDescriptions(await readText(response, MAX_HTML_BYTES));
+    for (const tag of META_TAGS) {
+      const text = cleanDescription(tags[tag], innovator.name);
+      if (text) return { text, ref: tag };
+    }
+    return { text: null, reason: 'no_usable_meta_description' };
+  } catch (error) {
+    return { text: null, reason: classifyError(error).reason };
+  }
+}
+
+/**
+ * Wikidata QID an innovator's description may be taken from: a verified
+ * match, or the item it was imported from (still unchecked)
+ */
+export function trustedQid(innovator) {
+  const { wikidata_id: qid, wikidata_status: status } = innovator.trust_data ?? {};
+  return qid && (status === 'verified' || status === 'unchecked') ? qid : null;
+}
+
+/**
+ * English Wikidata descriptions of the innovators' trusted QIDs, by QID
+ */
+export async function wikidataDescriptions(innovators) {
+  const qids = innovators.map(trustedQid).filter(Boolean);
+  if (qids.length === 0) return {};
+  const entities = await getEntities(qids, { props: 'descriptions', languages: 'en' });
+  return Object.fromEntries(
+    Object.entries(entities).map(([qid, entity]) => [qid, entity.descriptions?.en?.value ?? null])
+  );
+}
+
+/**
+ * Innovators whose description may be replaced
+ */
+export function needsEnrichment(innovator) {
+  return descriptionOrigin(innovator) === 'placeholder';
+}
+
+/**
+ * Find a replacement for one innovator's placeholder, trying `sources` in
+ * order. `wikidata` maps QIDs to descriptions (see wikidataDescriptions()).
+ * Resolves to `{ description, description_source }` or `{ description: null, reasons }`.
+ */
+export async function enrichDescription(innovator, { sources = ENRICHMENT_SOURCES, wikidata = {}, now = new Date().toISOString() } = {}) {
+  const reasons = [];
+  for (const source of sources) {
+    if (source === 'wikidata') {
+      const qid = trustedQid(innovator);
+      const text = qid ? cleanDescription(wikidata[qid], innovator.name) : null;
+      if (text) return { description: text, description_source: { origin: 'wikidata', ref: qid, retrieved_at: now } };
+      reasons.push(qid ? `wikidata: no usable description on ${qid}` : 'wikidata: no trusted QID');
+    } else if (source === 'homepage') {
+      const { text, ref, reason } = await homepageDescription(innovator);
+      if (text) return { description: text, description_source: { origin: 'homepage', ref, retrieved_at: now } };
+      reasons.push(`homepage: ${reason}`);
+    }
+  }
+  return { description: null, reasons };
+}
@@ -0,0 +1,169 @@
+/**
+ * Links a service to its Wikidata entity by scoring candidates on several
+ * independent signals instead of trusting the first search hit.
+ *
+ * Signals (weights sum to 1 when everything agrees):
+ *   website   official website (P856) on the service's domain     +0.55
+ *   name      label or alias equals the service name              +0.15
+ *   country   country of origin (P495) / country (P17) matches    +0.20 (−0.20 if it contradicts)
+ *   type      instance of (P31) is a product/organisation type    +0.10 (−0.50 for people, films, ...)
+ *
+ * A candidate is `verified` only when it scores at least VERIFIED_SCORE and
+ * clearly beats the runner-up; anything plausible but short of that is
+ * `needs_review` so a human confirms the link.
+ */
+
+import { searchEntities, getEntities, claimValues, entityLabel, entityNames, countryCodes } from './wikidata.js';
+import { extractDomain } from './http.js';
+
+const WEIGHTS = { website: 0.55, name: 0.15, country: 0.2, type: 0.1 };
+const COUNTRY_MISMATCH_PENALTY = -0.2;
+const WRONG_TYPE_PENALTY = -0.5;
+
+export const VERIFIED_SCORE = 0.7;
+export const REVIEW_SCORE = 0.3;
+// The winner must lead the runner-up by this much to count as unambiguous
+const MIN_MARGIN = 0.1;
+
+// instance-of (P31) values that fit a digital service or the company behind it
+const SERVICE_TYPES = new Set([
+  'Q7397',      // software
+  'Q35127',     // website
+  'Q19967801',  // online service
+  'Q189210',    // web application
+  'Q620615',    // mobile app
+  'Q6368',      // web browser
+  'Q4182287',   // search engine
+  'Q4830453',   // business
+  'Q6881511',   // enterprise
+  'Q783794',    // company
+  'Q891723',    // public company
+  'Q1058914',   // software company
+  'Q43229',     // organization
+  'Q786820',    // automobile manufacturer
+]);
+
+// instance-of values that are never the service itself
+const WRONG_TYPES = new Set([
+  'Q5',         // human
+  'Q4167410',   // Wikimedia disambiguation page
+  'Q4167836',   // Wikimedia category
+  'Q11424',     // film
+  'Q7889',      // video game
+  'Q16521',     // taxon
+  'Q482994',    // album
+  'Q7366',      // song
+  'Q5398426',   // television series
+]);
+
+function normalizeName(value) {
+  return value.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * True when two hostnames are the same site (equal, or one a subdomain of the other)
+ */
+export function sameSite(a, b) {
+  if (!a || !b) return false;
+  return a === b || a.endsWith(`.${b}`) || b.endsWith(`.${a}`);
+}
+
+function scoreWebsite(entity, domain) {
+  const websites = claimValues(entity, 'P856');
+  if (websites.length === 0) return { signal: 'website', score: 0, detail: 'no official website (P856) on entity' };
+
+  const match = websites.find(site => sameSite(extractDomain(site), domain));
+  return match
+    ? { signal: 'website', score: WEIGHTS.website, detail: `P856 ${match} matches ${domain}` }
+    : { signal: 'website', score: 0, detail: `P856 ${websites.join(', ')} does not match ${domain}` };
+}
+
+function scoreName(entity, name) {
+  const wanted = normalizeName(name);
+  const names = entityNames(entity);
+  const exact = names.find(n => normalizeName(n) === wanted);
+  return exact
+    ? { signal: 'name', score: WEIGHTS.name, detail: `label/alias "${exact}" equals name` }
+    : { signal: 'name', score: 0, detail: `no label/alias equals "${name}"` };
+}
+
+function scoreCountry(entity, country, countryCodes) {
+  const ids = [...claimValues(entity, 'P495'), ...claimValues(entity, 'P17')];
+  if (ids.length === 0) return { signal: 'country', score: 0, detail: 'no country (P495/P17) on entity' };
+
+  const codes = [...new Set(ids.map(id => countryCodes[id] ?? id))];
+  return codes.includes(country)
+    ? { signal: 'country', score: WEIGHTS.country, detail: `country ${country} matches` }
+    : { signal: 'country', score: COUNTRY_MISMATCH_PENALTY, detail: `country ${codes.join(', ')} contradicts ${country}` };
+}
+
+function scoreType(entity) {
+  const types = claimValues(entity, 'P31');
+  if (types.some(t => WRONG_TYPES.has(t))) {
+    return { signal: 'type', score: WRONG_TYPE_PENALTY, detail: `instance of ${types.join(', ')} is not a service` };
+  }
+  if (types.some(t => SERVICE_TYPES.has(t))) {
+    return { signal: 'type', score: WEIGHTS.type, detail: `instance of ${types.filter(t => SERVICE_TYPES.has(t)).join(', ')}` };
+  }
+  return { signal: 'type', score: 0, detail: types.length ? `instance of ${types.join(', ')} (unrecognised)` : 'no instance of (P31)' };
+}
+
+/**
+ * Score one candidate entity against a service. `countryCodes` maps the
+ * QIDs of country entities to ISO 3166-1 alpha-2 codes.
+ */
+export function scoreCandidate(entity, innovator, countryCodes = {}) {
+  const evidence = [
+    scoreWebsite(entity, extractDomain(innovator.url)),
+    scoreName(entity, innovator.name),
+    scoreCountry(entity, innovator.country, countryCodes),
+    scoreType(entity),
+  ];
+  const total = evidence.reduce((sum, e) => sum + e.score, 0);
+  return {
+    id: entity.id,
+    label: entityLabel(entity),
+    confidence: Math.round(Math.max(0, Math.min(1, total)) * 100) / 100,
+    evidence,
+  };
+}
+
+/**
+ * Pick the verdict from scored candidates (best first)
+ */
+export function decide(candidates) {
+  const [best, runnerUp] = candidates;
+  if (!best || best.confidence < REVIEW_SCORE) {
+    return { status: 'unverified', reason: best ? 'low_confidence' : 'no_candidates', match: best ?? null };
+  }
+  const margin = best.confidence - (runnerUp?.confidence ?? 0);
+  if (best.confidence >= VERIFIED_SCORE && margin >= MIN_MARGIN) {
+    return { status: 'verified', reason: 'ok', match: best };
+  }
+  return { status: 'needs_review', reason: margin < MIN_MARGIN ? 'ambiguous' : 'low_confidence', match: best };
+}
+
+/**
+ * Resolve a service to a Wikidata entity. The currently linked QID (if any)
+ * is always considered alongside the search results.
+ *
+ * Returns `{ status, reason, match, candidates }` where `match` is the best
+ * scored candidate (`{ id, label, confidence, evidence }`) or null.
+ */
+export async function resolveEntity(innovator) {
+  const hits = await searchEntities(innovator.name);
+  const ids = hits.map(hit => hit.id);
+  const linked = innovator.trust_data?.wikidata_id;
+  if (linked && !ids.includes(linked)) ids.push(linked);
+  if (ids.length === 0) return { ...decide([]), candidates: [] };
+
+  const entities = await getEntities(ids);
+  const countryIds = Object.values(entities).flatMap(e => [...claimValues(e, 'P495'), ...claimValues(e, 'P17')]);
+  const codes = await countryCodes(countryIds);
+
+  const candidates = Object.values(entities)
+    .map(entity => scoreCandidate(entity, innovator, codes))
+    .sort((a, b) => b.confidence - a.confidence);
+
+  return { ...decide(candidates), candidates };
+}
@@ -0,0 +1,99 @@
+/**
+ * Per-service check history, kept in src/data/history.json
+ *
+ *   { "<service id>": { "<checker>": [ { checked_at, outcome, reason,
+ *                                         http_code, latency_ms }, ... ] } }
+ *
+ * Entries are oldest first. The website history decides `status.is_active`:
+ * one failed check no longer hides a service, a streak of them does.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { writeJsonAtomic } from './store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const HISTORY_PATH = join(__dirname, '..', '..', 'src', 'data', 'history.json');
+const MAX_ENTRIES = 52;
+
+export const DEFAULT_POLICY = {
+  // Hide after this many failed checks in a row...
+  failureThreshold: 3,
+  // ...or once a service has been failing continuously for this long
+  failureWindowDays: 14,
+};
+
+export function loadHistory({ path = HISTORY_PATH } = {}) {
+  if (!existsSync(path)) return {};
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * Save history, dropping services that are no longer in the dataset
+ */
+export function saveHistory(history, knownIds, { path = HISTORY_PATH } = {}) {
+  const known = new Set(knownIds);
+  const pruned = Object.fromEntries(Object.entries(history).filter(([id]) => known.has(id)));
+  writeJsonAtomic(path, pruned);
+}
+
+/**
+ * Append a checker result for a service and return that checker's entries
+ */
+export function recordResult(history, id, checker, result, now) {
+  history[id] ??= {};
+  const entries = (history[id][checker] ??= []);
+  entries.push({
+    checked_at: now,
+    outcome: result.outcome,
+    reason: result.reason,
+    http_code: result.http_code ?? null,
+    latency_ms: result.latency_ms ?? null,
+  });
+  if (entries.length > MAX_ENTRIES) entries.splice(0, entries.length - MAX_ENTRIES);
+  return entries;
+}
+
+/**
+ * The trailing run of failed entries (inconclusive ones are skipped over)
+ */
+export function failureStreak(entries) {
+  const streak = [];
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const entry = entries[i];
+    if (entry.outcome === 'pass') break;
+    if (entry.outcome === 'fail') streak.unshift(entry);
+  }
+  return streak;
+}
+
+/**
+ * Conclusive (pass or fail) entries and how many of them passed, over the
+ * retained history
+ */
+export function uptime(entries) {
+  const conclusive = entries.filter(entry => entry.outcome !== 'error');
+  return { passed: conclusive.filter(entry => entry.outcome === 'pass').length, total: conclusive.length };
+}
+
+/**
+ * Decide whether a service should be shown, given its website history and
+ * the current `is_active` flag. A passing check reactivates immediately; a
+ * failing one only deactivates once the policy threshold or window is hit,
+ * otherwise the previous flag stands.
+ */
+export function evaluateAvailability(entries, wasActive, policy = DEFAULT_POLICY) {
+  const latest = entries[entries.length - 1];
+  if (!latest || latest.outcome === 'error') return { is_active: wasActive, failures: failureStreak(entries).length };
+  if (latest.outcome === 'pass') return { is_active: true, failures: 0 };
+
+  const streak = failureStreak(entries);
+  const failingForMs = Date.parse(latest.checked_at) - Date.parse(streak[0].checked_at);
+  const overThreshold = streak.length >= policy.failureThreshold;
+  const overWindow = failingForMs >= policy.failureWindowDays * 24 * 60 * 60 * 1000;
+
+  return { is_active: overThreshold || overWindow ? false : wasActive, failures: streak.length };
+}
@@ -0,0 +1,50 @@
+/**
+ * Just enough HTML parsing for the checkers: tag attributes, inline script
+ * text and entity decoding, with regular expressions rather than a DOM.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Attributes of every `<name ...>` tag, lowercased keys and decoded values
+ */
+export function findTags(html, name) {
+  const tags = [];
+  for (const [tag] of html.matchAll(new RegExp(`<${name}\\b[^>]*>`, 'gi'))) {
+    const attributes = {};
+    for (const [, key, , doubleQuoted, singleQuoted, bare] of tag.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)'|([^\s"'>]+))/g)) {
+      attributes[key.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted ?? bare);
+    }
+    tags.push(attributes);
+  }
+  return tags;
+}
+
+/**
+ * `<a>` links as `{ href, text }`, text stripped of markup
+ */
+export function findLinks(html) {
+  return [...html.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a>/gi)].map(([, attributes, inner]) => ({
+    href: findTags(`<a ${attributes}>`, 'a')[0]?.href ?? null,
+    text: decodeEntities(inner.replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim(),
+  }));
+}
+
+/**
+ * Bodies of the inline `<script>` elements
+ */
+export function inlineScripts(html) {
+  return [...html.matchAll(/<script\b([^>]*)>([\s\S]*?)<\/script>/gi)]
+    .filter(([, attributes]) => !/\bsrc\s*=/i.test(attributes))
+    .map(([, , body]) => body);
+}
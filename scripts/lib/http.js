@@ -0,0 +1,132 @@
+/**
+ * Shared HTTP helpers for the checkers: one HEAD-then-GET strategy and one
+ * set of error reason codes. Requests go through the polite client in
+ * client.js (concurrency, per-host limits, robots.txt, retries).
+ */
+
+import { client, DEFAULT_TIMEOUT_MS } from './client.js';
+
+/**
+ * Map a fetch() failure onto a reason code and the pseudo HTTP code the
+ * dataset has always stored for it (408 timeout, 404 DNS, 503 refused, 495 TLS).
+ */
+export function classifyError(error) {
+  if (error?.name === 'RobotsDisallowedError') return { reason: 'robots_disallowed', httpCode: 0 };
+  const code = error?.cause?.code ?? error?.cause?.errors?.[0]?.code;
+  const message = `${error?.message ?? ''} ${error?.cause?.message ?? ''}`;
+
+  if (error?.name === 'AbortError' || error?.name === 'TimeoutError') {
+    return { reason: 'timeout', httpCode: 408 };
+  }
+  if (code === 'ENOTFOUND' || code === 'EAI_AGAIN') {
+    return { reason: 'dns_not_found', httpCode: 404 };
+  }
+  if (code === 'ECONNREFUSED') {
+    return { reason: 'connection_refused', httpCode: 503 };
+  }
+  if (code === 'ECONNRESET') {
+    return { reason: 'connection_reset', httpCode: 0 };
+  }
+  if (/certificate|SSL|TLS/i.test(message) || code?.startsWith?.('ERR_TLS') || code?.includes?.('CERT')) {
+    return { reason: 'tls_error', httpCode: 495 };
+  }
+  return { reason: 'network_error', httpCode: 0 };
+}
+
+/**
+ * A response body as text, reading at most `maxBytes` of it
+ */
+export async function readText(response, maxBytes) {
+  if (!response.body) return '';
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  let bytes = 0;
+  while (bytes < maxBytes) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    bytes += value.byteLength;
+    text += decoder.decode(value, { stream: true });
+  }
+  await reader.cancel();
+  return text;
+}
+
+/**
+ * Request a URL with HEAD and fall back to GET when HEAD errors or is
+ * refused (many servers answer HEAD with 403/405 or drop it entirely).
+ *
+ * Never throws; resolves to
+ * `{ ok, httpCode, reason, method, latencyMs, finalUrl }`.
+ */
+export async function probe(url, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const started = Date.now();
+  let failure = null;
+
+  for (const method of ['HEAD', 'GET']) {
+    try {
+      const response = await client.fetch(url, { method, timeoutMs });
+      // Don't download bodies we never read
+      if (method === 'GET') await response.body?.cancel();
+
+      if (response.ok || method === 'GET') {
+        return {
+          ok: response.ok,
+          httpCode: response.status,
+          reason: response.ok ? 'ok' : `http_${response.status}`,
+          method,
+          latencyMs: Date.now() - started,
+          finalUrl: response.url || url,
+        };
+      }
+      failure = { reason: `http_${response.status}`, httpCode: response.status };
+    } catch (error) {
+      failure = classifyError(error);
+      // A timed-out HEAD will almost certainly time out as a GET too, and
+      // robots.txt rules don't depend on the method
+      if (['timeout', 'dns_not_found', 'robots_disallowed'].includes(failure.reason)) break;
+    }
+  }
+
+  return {
+    ok: false,
+    httpCode: failure.httpCode,
+    reason: failure.reason,
+    method: null,
+    latencyMs: Date.now() - started,
+    finalUrl: url,
+  };
+}
+
+/**
+ * Hostname without a leading "www.", or null for an unparseable URL
+ */
+export function extractDomain(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+// Second-level labels under which country-code domains are registered (example.co.jp)
+const GENERIC_SECOND_LEVEL = new Set(['co', 'com', 'net', 'org', 'ac', 'gov', 'edu', 'ne', 'or', 'go']);
+
+/**
+ * The registrable domain of a URL ("shop.example.co.jp" → "example.co.jp"),
+ * or null. An approximation of the public suffix list that is good enough
+ * for grouping service URLs.
+ */
+export function siteDomain(url) {
+  let host;
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  const labels = host.split('.');
+  if (labels.length <= 2) return host;
+  const [secondLevel, topLevel] = labels.slice(-2);
+  const keep = topLevel.length === 2 && GENERIC_SECOND_LEVEL.has(secondLevel) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
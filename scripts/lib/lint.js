@@ -0,0 +1,303 @@
+/**
+ * Content-quality rules for the curated dataset
+ *
+ * validateDataset() in store.js rejects data that is malformed; these rules
+ * catch data that is well-formed but wrong or doubtful: an id that names a
+ * different service, two entries for one site, a "service" that is a page
+ * of a big-tech product. Each rule looks like
+ *
+ *   {
+ *     id: 'duplicate-url',
+ *     severity: 'error' | 'warning' | 'info',
+ *     description: 'One-line summary for --help',
+ *     online?: true,                        // needs the Wikidata API
+ *     async check(context) { return [{ id, message }] },
+ *   }
+ *
+ * where `context` is `{ data, entries, incumbents }` (entries from
+ * listInnovators(), incumbents from incumbents.json).
+ *
+ * Known findings can be recorded in a baseline file; they are still
+ * reported but don't count towards the failure threshold.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { listInnovators, loadIncumbents, writeJsonAtomic } from './store.js';
+import { siteDomain } from './http.js';
+import { generateId } from './merge.js';
+import { getEntities, claimValues, countryCodes } from './wikidata.js';
+import { regionOf } from '../../src/lib/geography.js';
+import { descriptionOrigin } from '../../src/lib/descriptions.js';
+import { incumbentsOf, ownershipFlag } from '../../src/lib/ownership.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const BASELINE_PATH = join(__dirname, '..', '..', 'src', 'data', 'lint_baseline.json');
+
+/** Severities, most severe first */
+export const SEVERITIES = ['error', 'warning', 'info'];
+
+// Sites of the companies the project offers alternatives to. A service URL
+// inside one of these is a feature of their product, not an independent service.
+export const BIG_TECH_DOMAINS = {
+  'google.com': 'Google', 'youtube.com': 'Google', 'android.com': 'Google', 'blogger.com': 'Google',
+  'microsoft.com': 'Microsoft', 'live.com': 'Microsoft', 'outlook.com': 'Microsoft', 'bing.com': 'Microsoft',
+  'linkedin.com': 'Microsoft', 'github.com': 'Microsoft', 'skype.com': 'Microsoft', 'xbox.com': 'Microsoft',
+  'apple.com': 'Apple', 'icloud.com': 'Apple',
+  'amazon.com': 'Amazon', 'amazon.co.jp': 'Amazon', 'amazon.de': 'Amazon', 'amazon.co.uk': 'Amazon', 'twitch.tv': 'Amazon',
+  'facebook.com': 'Meta', 'instagram.com': 'Meta', 'whatsapp.com': 'Meta', 'messenger.com': 'Meta', 'meta.com': 'Meta',
+  'x.com': 'X', 'twitter.com': 'X',
+  'netflix.com': 'Netflix',
+  'nintendo.com': 'Nintendo', 'nintendo.co.jp': 'Nintendo',
+  'sony.com': 'Sony', 'sony.co.jp': 'Sony', 'playstation.com': 'Sony',
+  'samsung.com': 'Samsung',
+  'tencent.com': 'Tencent', 'qq.com': 'Tencent', 'wechat.com': 'Tencent',
+  'alibaba.com': 'Alibaba', 'aliexpress.com': 'Alibaba',
+  'tiktok.com': 'ByteDance', 'bytedance.com': 'ByteDance',
+  'baidu.com': 'Baidu',
+};
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+}
+
+// The same page, ignoring "www.", a trailing slash and the fragment
+function pageKey(url) {
+  const parsed = parseUrl(url);
+  if (!parsed) return null;
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  return `${host}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+}
+
+function groupBy(entries, keyOf) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    if (!key) continue;
+    groups.set(key, [...(groups.get(key) ?? []), entry]);
+  }
+  return [...groups.entries()].filter(([, group]) => group.length > 1);
+}
+
+// Services whose ownership chain leads to an incumbent, with the kind of match
+function ownershipFlags({ entries, incumbents }, kind) {
+  return entries.flatMap(({ category, innovator }) => {
+    const flag = ownershipFlag(innovator, incumbentsOf(category, innovator, incumbents));
+    return flag?.kind === kind ? [{ innovator, flag }] : [];
+  });
+}
+
+function chainText(innovator) {
+  return innovator.ownership.chain.map(org => `${org.name} (${org.qid}${org.jurisdiction ? `, ${org.jurisdiction}` : ''})`).join(' → ');
+}
+
+function names(group, except) {
+  return group.filter(e => e !== except).map(e => `${e.innovator.id} [${e.category.category}]`).join(', ');
+}
+
+/**
+ * True when an id and a name share a word, allowing for words run together
+ * ("protonmail" / "Proton Mail")
+ */
+export function idMatchesName(id, name) {
+  const slug = generateId(name);
+  // Names without Latin letters or digits ("楽天") can't be compared
+  if (!slug) return true;
+  const compactId = id.replace(/-/g, '');
+  const compactName = slug.replace(/-/g, '');
+  if (compactId === compactName) return true;
+  const long = word => word.length >= 3;
+  return slug.split('-').filter(long).some(word => compactId.includes(word))
+    || id.split('-').filter(long).some(word => compactName.includes(word));
+}
+
+export const RULES = [
+  {
+    id: 'id-name-mismatch',
+    severity: 'warning',
+    description: 'The id shares no word with the name (an entry renamed or overwritten by another service)',
+    async check({ entries }) {
+      return entries
+        .filter(({ innovator }) => !idMatchesName(innovator.id, innovator.name))
+        .map(({ innovator }) => ({ id: innovator.id, message: `id "${innovator.id}" does not match name "${innovator.name}"` }));
+    },
+  },
+  {
+    id: 'region-country',
+    severity: 'error',
+    description: 'The region is not the one src/lib/geography.js assigns to the country',
+    async check({ entries }) {
+      return entries
+        .filter(({ innovator }) => regionOf(innovator.country) !== innovator.region)
+        .map(({ innovator }) => ({
+          id: innovator.id,
+          message: `region ${innovator.region} does not match country ${innovator.country} (${regionOf(innovator.country) ?? 'unknown code'})`,
+        }));
+    },
+  },
+  {
+    id: 'duplicate-url',
+    severity: 'error',
+    description: 'Two entries point at the same page',
+    async check({ entries }) {
+      return groupBy(entries, e => pageKey(e.innovator.url)).flatMap(([page, group]) =>
+        group.map(entry => ({ id: entry.innovator.id, message: `same page as ${names(group, entry)} (${page})` }))
+      );
+    },
+  },
+  {
+    id: 'shared-domain',
+    severity: 'warning',
+    description: 'Entries on different pages of one site (products of one company, or one product listed twice)',
+    async check({ entries }) {
+      return groupBy(entries, e => siteDomain(e.innovator.url))
+        // Big-tech sites are reported by big-tech-url
+        .filter(([domain]) => !BIG_TECH_DOMAINS[domain])
+        .filter(([, group]) => new Set(group.map(e => pageKey(e.innovator.url))).size > 1)
+        .flatMap(([domain, group]) =>
+          group.map(entry => ({ id: entry.innovator.id, message: `shares ${domain} with ${names(group, entry)}` }))
+        );
+    },
+  },
+  {
+    id: 'big-tech-url',
+    severity: 'error',
+    description: 'The URL is on a big-tech company\'s site (a page or feature of its product)',
+    async check({ entries }) {
+      const findings = [];
+      for (const { innovator } of entries) {
+        const domain = siteDomain(innovator.url);
+        const company = BIG_TECH_DOMAINS[domain];
+        if (!company) continue;
+        const { hostname, pathname } = parseUrl(innovator.url);
+        const where = hostname.replace(/^www\./, '') !== domain ? `subdomain ${hostname}` : pathname !== '/' ? `page ${pathname}` : 'home page';
+        findings.push({ id: innovator.id, message: `URL is the ${where} of ${domain} (${company}), not an independent service` });
+      }
+      return findings;
+    },
+  },
+  {
+    id: 'incumbent-owner',
+    severity: 'error',
+    description: 'The ownership chain (ownership.chain) leads to an incumbent company of the category',
+    async check(context) {
+      return ownershipFlags(context, 'company').map(({ innovator, flag }) => ({
+        id: innovator.id,
+        message: `owned via ${chainText(innovator)}; ${flag.org.name} is ${flag.company}`,
+      }));
+    },
+  },
+  {
+    id: 'incumbent-jurisdiction',
+    severity: 'warning',
+    description: 'An owner in the ownership chain is based in an incumbent\'s HQ country',
+    async check(context) {
+      return ownershipFlags(context, 'jurisdiction').map(({ innovator, flag }) => ({
+        id: innovator.id,
+        message: `owned via ${chainText(innovator)}; ${flag.org.name} is based in ${flag.country}`,
+      }));
+    },
+  },
+  {
+    id: 'placeholder-description',
+    severity: 'info',
+    description: 'The description is still a generated placeholder (see npm run enrich)',
+    async check({ entries }) {
+      return entries
+        .filter(({ innovator }) => descriptionOrigin(innovator) === 'placeholder')
+        .map(({ innovator }) => ({ id: innovator.id, message: `placeholder description "${innovator.description}"` }));
+    },
+  },
+  {
+    id: 'wikidata-country',
+    severity: 'error',
+    online: true,
+    description: 'The country disagrees with the linked Wikidata item\'s country of origin (P495)',
+    async check({ entries }) {
+      const linked = entries.filter(({ innovator }) =>
+        innovator.trust_data?.wikidata_id && innovator.trust_data.wikidata_status !== 'unverified');
+      const entities = await getEntities(linked.map(e => e.innovator.trust_data.wikidata_id), { props: 'claims' });
+      const codes = await countryCodes(Object.values(entities).flatMap(entity => claimValues(entity, 'P495')));
+
+      const findings = [];
+      for (const { innovator } of linked) {
+        const qid = innovator.trust_data.wikidata_id;
+        const origins = claimValues(entities[qid], 'P495').map(country => codes[country] ?? country);
+        if (origins.length === 0 || origins.includes(innovator.country)) continue;
+        findings.push({ id: innovator.id, message: `country ${innovator.country}, but ${qid} has country of origin ${origins.join(', ')}` });
+      }
+      return findings;
+    },
+  },
+];
+
+/**
+ * Resolve a list of rule ids, throwing on unknown ones
+ */
+export function selectRules(ids, { online = false } = {}) {
+  if (!ids || ids.length === 0) return RULES.filter(rule => online || !rule.online);
+
+  return ids.map(id => {
+    const rule = RULES.find(r => r.id === id);
+    if (!rule) throw new Error(`Unknown rule "${id}". Available: ${RULES.map(r => r.id).join(', ')}`);
+    return rule;
+  });
+}
+
+export function findingKey(finding) {
+  return `${finding.rule}:${finding.id}`;
+}
+
+export function loadBaseline({ path = BASELINE_PATH } = {}) {
+  if (!existsSync(path)) return new Set();
+  return new Set(JSON.parse(readFileSync(path, 'utf-8')));
+}
+
+/**
+ * Record `findings` as known. With `rules` (the ids of the rules that were
+ * run) only those rules' entries are replaced; the rest of the baseline stays.
+ */
+export function saveBaseline(findings, { path = BASELINE_PATH, rules } = {}) {
+  const kept = rules ? [...loadBaseline({ path })].filter(key => !rules.includes(key.slice(0, key.indexOf(':')))) : [];
+  writeJsonAtomic(path, [...new Set([...kept, ...findings.map(findingKey)])].sort());
+}
+
+/**
+ * Run `rules` over the dataset. A rule that throws (e.g. the Wikidata API
+ * is unreachable) is reported in `skipped` instead of failing the run.
+ * Returns `{ findings: [{ rule, severity, id, message, known }], skipped: [{ rule, reason }] }`,
+ * findings ordered by severity, then rule.
+ */
+export async function runLint(data, rules, { baseline = new Set(), incumbents = loadIncumbents() } = {}) {
+  const context = { data, entries: listInnovators(data), incumbents };
+  const findings = [];
+  const skipped = [];
+  for (const rule of rules) {
+    try {
+      for (const finding of await rule.check(context)) {
+        const full = { rule: rule.id, severity: rule.severity, ...finding };
+        findings.push({ ...full, known: baseline.has(findingKey(full)) });
+      }
+    } catch (error) {
+      skipped.push({ rule: rule.id, reason: error.message });
+    }
+  }
+  findings.sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)
+    || rules.findIndex(r => r.id === a.rule) - rules.findIndex(r => r.id === b.rule));
+  return { findings, skipped };
+}
+
+/**
+ * New (not baselined) findings at or above `severity`
+ */
+export function failingFindings(findings, severity) {
+  const threshold = SEVERITIES.indexOf(severity);
+  return findings.filter(f => !f.known && SEVERITIES.indexOf(f.severity) <= threshold);
+}
@@ -0,0 +1,238 @@
+/**
+ * Merging externally sourced candidates into the curated dataset
+ *
+ * Candidates are matched against existing services by Wikidata QID and by
+ * normalized domain. Matches never overwrite curated fields; they can only
+ * fill fields that are still empty (the QID, missing translations) or
+ * replace a placeholder description.
+ * Everything else becomes a new service with an unchecked status.
+ */
+
+import { listInnovators } from './store.js';
+import { extractDomain } from './http.js';
+import { descriptionOrigin } from '../../src/lib/descriptions.js';
+
+export const UNCHECKED_TRUST_DATA = {
+  website_status: 'unchecked',
+  trustpilot_status: 'unchecked',
+  wikidata_status: 'unchecked',
+  privacy_status: 'unchecked',
+  wikidata_id: null,
+  last_checked: null,
+};
+
+/**
+ * Lowercased hostname without "www.", or null
+ */
+export function normalizeDomain(url) {
+  return extractDomain(url)?.toLowerCase() ?? null;
+}
+
+/**
+ * Generate a URL-safe id from a name
+ */
+export function generateId(name) {
+  return name
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Build a new, not-yet-checked innovator record
+ */
+export function createInnovator({
+  id, name, region, country, url, description, descriptionSource, replaces, translations, ownership, wikidataId = null,
+}) {
+  return {
+    id: id ?? generateId(name),
+    name,
+    region,
+    country,
+    url,
+    description,
+    ...(descriptionSource ? { description_source: descriptionSource } : {}),
+    ...(replaces?.length ? { replaces } : {}),
+    ...(translations && Object.keys(translations).length > 0 ? { translations } : {}),
+    ...(ownership ? { ownership } : {}),
+    status: { is_active: false, last_checked: null, http_code: 0 },
+    trust_data: { ...UNCHECKED_TRUST_DATA, wikidata_id: wikidataId },
+  };
+}
+
+/**
+ * Lookup tables over the current dataset
+ */
+export function indexDataset(data) {
+  const byQid = new Map();
+  const byDomain = new Map();
+  const byId = new Map();
+
+  for (const entry of listInnovators(data)) {
+    const { innovator } = entry;
+    byId.set(innovator.id, entry);
+    const qid = innovator.trust_data?.wikidata_id;
+    if (qid) byQid.set(qid, entry);
+    const domain = normalizeDomain(innovator.url);
+    if (domain) byDomain.set(domain, entry);
+  }
+
+  return { byQid, byDomain, byId };
+}
+
+/**
+ * The parts of `candidate` translations that `existing` has no value for yet,
+ * e.g. { ja: { description } }, or null if there are none
+ */
+function missingTranslations(existing = {}, candidate = {}) {
+  const missing = {};
+  for (const [locale, fields] of Object.entries(candidate)) {
+    for (const [field, value] of Object.entries(fields)) {
+      if (existing[locale]?.[field]) continue;
+      missing[locale] = { ...missing[locale], [field]: value };
+    }
+  }
+  return Object.keys(missing).length > 0 ? missing : null;
+}
+
+/**
+ * Work out what merging `candidates` would do, without touching `data`.
+ *
+ * A candidate is `{ qid?, name, url, country, region, description,
+ * descriptionSource?, category, translations?, review? }`; a truthy `review` (the reason) keeps a new candidate out of
+ * the dataset and lists it for a human instead.
+ * Returns `{ added, updated, review, skipped }`:
+ *   added    [{ category, innovator }]
+ *   updated  [{ id, name, matchedBy, changes: { field: value } }]
+ *   review   [{ name, reason, candidate }]
+ *   skipped  [{ name, reason }]
+ */
+export function planMerge(data, candidates) {
+  const index = indexDataset(data);
+  const categories = new Set(data.map(c => c.category));
+  const plan = { added: [], updated: [], review: [], skipped: [] };
+  const seenQids = new Set();
+  const seenDomains = new Set();
+  const seenIds = new Set();
+
+  for (const candidate of candidates) {
+    const domain = normalizeDomain(candidate.url);
+    const { qid } = candidate;
+
+    if (!domain) {
+      plan.skipped.push({ name: candidate.name, reason: `invalid url ${candidate.url}` });
+      continue;
+    }
+    if ((qid && seenQids.has(qid)) || seenDomains.has(domain)) {
+      plan.skipped.push({ name: candidate.name, reason: `duplicate of an earlier candidate (${qid ?? domain})` });
+      continue;
+    }
+    if (qid) seenQids.add(qid);
+    seenDomains.add(domain);
+
+    const existing = (qid && index.byQid.get(qid)) || index.byDomain.get(domain);
+    if (existing) {
+      const { innovator } = existing;
+      const matchedBy = qid && index.byQid.get(qid) === existing ? `QID ${qid}` : `domain ${domain}`;
+      // Curated fields stay as they are; only an empty QID, missing translations
+      // and a placeholder description may be filled in
+      const changes = {};
+      if (qid && !innovator.trust_data?.wikidata_id) changes.wikidata_id = qid;
+      if (descriptionOrigin(innovator) === 'placeholder' && candidate.descriptionSource?.origin === 'wikidata') {
+        changes.description = candidate.description;
+        changes.description_source = candidate.descriptionSource;
+      }
+      const translations = missingTranslations(innovator.translations, candidate.translations);
+      if (translations) changes.translations = translations;
+      if (Object.keys(changes).length > 0) {
+        plan.updated.push({ id: innovator.id, name: innovator.name, matchedBy, changes });
+      } else {
+        plan.skipped.push({ name: candidate.name, reason: `already listed as "${innovator.id}" (matched by ${matchedBy})` });
+      }
+      continue;
+    }
+
+    if (candidate.review) {
+      plan.review.push({ name: candidate.name, reason: candidate.review, candidate });
+      continue;
+    }
+    if (!categories.has(candidate.category)) {
+      plan.skipped.push({ name: candidate.name, reason: `no site category "${candidate.category}"` });
+      continue;
+    }
+
+    const innovator = createInnovator({ ...candidate, wikidataId: qid ?? null });
+    if (!innovator.id || index.byId.has(innovator.id) || seenIds.has(innovator.id)) {
+      plan.skipped.push({ name: candidate.name, reason: `id "${innovator.id}" is already used by another service` });
+      continue;
+    }
+    seenIds.add(innovator.id);
+    plan.added.push({ category: candidate.category, innovator });
+  }
+
+  return plan;
+}
+
+/**
+ * Apply a plan from planMerge() to `data` in place
+ */
+export function applyMerge(data, plan) {
+  const { byId } = indexDataset(data);
+  for (const { id, changes } of plan.updated) {
+    const { innovator } = byId.get(id);
+    const { translations, description, description_source: descriptionSource, ...trustChanges } = changes;
+    if (Object.keys(trustChanges).length > 0) {
+      const previous = { ...UNCHECKED_TRUST_DATA, ...innovator.trust_data };
+      // A new QID invalidates the verdict about the old one
+      if (trustChanges.wikidata_id && trustChanges.wikidata_id !== previous.wikidata_id) {
+        previous.wikidata_status = 'unchecked';
+        delete previous.wikidata_confidence;
+        delete previous.wikidata_evidence;
+      }
+      innovator.trust_data = { ...previous, ...trustChanges };
+    }
+    if (description) {
+      innovator.description = description;
+      innovator.description_source = descriptionSource;
+    }
+    if (translations) {
+      innovator.translations = { ...innovator.translations };
+      for (const [locale, fields] of Object.entries(translations)) {
+        innovator.translations[locale] = { ...innovator.translations[locale], ...fields };
+      }
+    }
+  }
+  for (const { category, innovator } of plan.added) {
+    data.find(c => c.category === category).innovators.push(innovator);
+  }
+  return data;
+}
+
+/**
+ * Print a plan as a readable diff
+ */
+export function printPlan(plan, log = console.log) {
+  log(`\nAdded (${plan.added.length}):`);
+  for (const { category, innovator } of plan.added) {
+    const qid = innovator.trust_data.wikidata_id ? ` ${innovator.trust_data.wikidata_id}` : '';
+    log(`  + ${innovator.name} [${category}] ${normalizeDomain(innovator.url)}${qid}`);
+  }
+  log(`\nUpdated (${plan.updated.length}):`);
+  for (const { name, matchedBy, changes } of plan.updated) {
+    const fields = Object.entries(changes)
+      .filter(([field]) => field !== 'description_source')
+      .map(([field, value]) => (field === 'translations' ? `translations for ${Object.keys(value).join('/')}` : `${field} → ${value}`))
+      .join(', ');
+    log(`  ~ ${name} (matched by ${matchedBy}): ${fields}`);
+  }
+  log(`\nNeeds review (${plan.review.length}):`);
+  for (const { name, reason } of plan.review) {
+    log(`  ? ${name}: ${reason}`);
+  }
+  log(`\nSkipped (${plan.skipped.length}):`);
+  for (const { name, reason } of plan.skipped) {
+    log(`  - ${name}: ${reason}`);
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Who owns a service, from Wikidata
+ *
+ * Starting at the service's item, the chain follows parent organization
+ * (P749), or owned by (P127) where there is no parent, up to MAX_DEPTH
+ * organisations. Former owners (statements with an end time, P582) are
+ * skipped and a preferred statement wins over normal ones. Each link's
+ * jurisdiction is its country (P17), or the country of its headquarters
+ * location (P159).
+ *
+ * The result is stored on the service as `ownership`:
+ *
+ *   {
+ *     parent: { qid, name, jurisdiction } | null,   // first link of the chain
+ *     owner: { qid, name, jurisdiction } | null,    // last link ("ultimate owner")
+ *     chain: [{ qid, name, jurisdiction, via: 'P749' | 'P127' }, ...],
+ *     retrieved_at,
+ *   }
+ *
+ * An empty chain means Wikidata lists no owner, not that there is none.
+ * `ownership` is null once the service's Wikidata link is no longer verified.
+ */
+
+import { getEntities, entityLabel, countryCodes } from './wikidata.js';
+import { isCountryCode } from '../../src/lib/geography.js';
+
+const MAX_DEPTH = 6;
+// Checked in this order; the first property with a current value is followed
+const OWNER_PROPERTIES = ['P749', 'P127'];
+
+// Current item values of a property, preferred statements first
+function currentValues(entity, property) {
+  const claims = (entity?.claims?.[property] ?? [])
+    .filter(claim => claim.rank !== 'deprecated' && !claim.qualifiers?.P582)
+    .filter(claim => claim.mainsnak?.datavalue?.value?.id);
+  const preferred = claims.filter(claim => claim.rank === 'preferred');
+  return (preferred.length > 0 ? preferred : claims).map(claim => claim.mainsnak.datavalue.value.id);
+}
+
+// The organisation an entity belongs to, or null
+function nextLink(entity) {
+  for (const via of OWNER_PROPERTIES) {
+    const [qid] = currentValues(entity, via);
+    if (qid) return { qid, via };
+  }
+  return null;
+}
+
+/**
+ * Fetch `qids` and everything up their ownership chains, one level per
+ * round of requests. Returns a map of QID → entity.
+ */
+async function fetchChains(qids, maxDepth) {
+  const entities = {};
+  let frontier = [...new Set(qids)];
+  for (let depth = 0; frontier.length > 0 && depth <= maxDepth; depth++) {
+    Object.assign(entities, await getEntities(frontier, { props: 'labels|claims' }));
+    frontier = [...new Set(frontier
+      .map(qid => nextLink(entities[qid])?.qid)
+      .filter(qid => qid && !entities[qid]))];
+  }
+  return entities;
+}
+
+/**
+ * ISO country code of each organisation: P17, else its headquarters' P17
+ */
+async function jurisdictions(orgs) {
+  const headquarters = {};
+  for (const [qid, entity] of Object.entries(orgs)) {
+    if (currentValues(entity, 'P17').length === 0) {
+      const [location] = currentValues(entity, 'P159');
+      if (location) headquarters[qid] = location;
+    }
+  }
+  const locations = await getEntities(Object.values(headquarters), { props: 'claims' });
+
+  const countryOf = {};
+  for (const [qid, entity] of Object.entries(orgs)) {
+    countryOf[qid] = currentValues(entity, 'P17')[0] ?? currentValues(locations[headquarters[qid]], 'P17')[0] ?? null;
+  }
+  const codes = await countryCodes([...new Set(Object.values(countryOf).filter(Boolean))]);
+  // Former countries have no ISO code; countryCodes() leaves their QID
+  return Object.fromEntries(Object.entries(countryOf).map(([qid, country]) =>
+    [qid, country && isCountryCode(codes[country]) ? codes[country] : null]));
+}
+
+/**
+ * Resolve the ownership of several items at once.
+ * Returns a map of QID → ownership record (see above); QIDs that don't
+ * exist on Wikidata are left out.
+ */
+export async function resolveOwnership(qids, { maxDepth = MAX_DEPTH, now = new Date().toISOString() } = {}) {
+  if (qids.length === 0) return {};
+  const entities = await fetchChains(qids, maxDepth);
+
+  const chains = {};
+  for (const qid of new Set(qids)) {
+    if (!entities[qid]) continue;
+    const chain = [];
+    const seen = new Set([qid]);
+    let link = nextLink(entities[qid]);
+    while (link && !seen.has(link.qid) && chain.length < maxDepth) {
+      seen.add(link.qid);
+      chain.push(link);
+      link = nextLink(entities[link.qid]);
+    }
+    chains[qid] = chain;
+  }
+
+  const orgIds = new Set(Object.values(chains).flat().map(link => link.qid));
+  const countries = await jurisdictions(Object.fromEntries([...orgIds].filter(id => entities[id]).map(id => [id, entities[id]])));
+
+  const org = ({ qid }) => ({ qid, name: entityLabel(entities[qid]) ?? qid, jurisdiction: countries[qid] ?? null });
+  return Object.fromEntries(Object.entries(chains).map(([qid, chain]) => [qid, {
+    parent: chain.length > 0 ? org(chain[0]) : null,
+    owner: chain.length > 0 ? org(chain[chain.length - 1]) : null,
+    chain: chain.map(link => ({ ...org(link), via: link.via })),
+    retrieved_at: now,
+  }]));
+}
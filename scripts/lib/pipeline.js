@@ -0,0 +1,122 @@
+/**
+ * The check pipeline: choose services, run checkers over them and merge
+ * each checker's updates back into the dataset.
+ *
+ * Several services are checked at once; how hard any one server is hit is
+ * up to the shared HTTP client (client.js), not to pauses here.
+ */
+
+import { listInnovators, mergeInnovator } from './store.js';
+import { recordResult, DEFAULT_POLICY } from './history.js';
+
+/**
+ * Pick the innovators a run should touch, failing loudly on typos
+ */
+export function selectTargets(data, { categories, ids }) {
+  const knownCategories = new Set(data.map(c => c.category));
+  for (const name of categories) {
+    if (!knownCategories.has(name)) throw new Error(`Unknown category "${name}"`);
+  }
+
+  const entries = listInnovators(data);
+  const knownIds = new Set(entries.map(e => e.innovator.id));
+  for (const id of ids) {
+    if (!knownIds.has(id)) throw new Error(`Unknown service id "${id}"`);
+  }
+
+  return entries.filter(({ category, innovator }) =>
+    (categories.length === 0 || categories.includes(category.category)) &&
+    (ids.length === 0 || ids.includes(innovator.id))
+  );
+}
+
+/**
+ * Call `task(item, index)` for every item, at most `concurrency` at a time.
+ * Resolves to the results in item order.
+ */
+export async function mapConcurrent(items, concurrency, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, items.length)) }, worker));
+  return results;
+}
+
+/**
+ * A numeric parseArgs option (`values[name]`, a string), or a usage error
+ * naming the flag and the accepted range: Number() alone would turn a typo
+ * into NaN and silently switch the limit off
+ */
+export function numberOption(values, name, { integer = false, min = -Infinity, max = Infinity }) {
+  const raw = values[name];
+  const value = Number(raw);
+  if (raw.trim() === '' || !Number.isFinite(value) || (integer && !Number.isInteger(value)) || value < min || value > max) {
+    const kind = integer ? 'an integer' : 'a number';
+    const range = max === Infinity ? `>= ${min}` : `between ${min} and ${max}`;
+    throw new Error(`--${name} expects ${kind} ${range}, got ${JSON.stringify(raw)} (see --help)`);
+  }
+  return value;
+}
+
+function formatResult(checker, result) {
+  const mark = { pass: '✓', fail: '✗', error: '?' }[result.outcome];
+  const code = result.http_code ? ` ${result.http_code}` : '';
+  return `    ${mark} ${checker.name}: ${result.reason}${code}`;
+}
+
+/**
+ * Compare a service's website state before and after this run
+ */
+function detectTransition(innovator, wasActive, result) {
+  const { is_active: isActive, consecutive_failures: failures } = innovator.status;
+  if (!wasActive && isActive) return { type: 'recovered', reason: result.reason };
+  if (wasActive && !isActive) return { type: 'went_down', reason: result.reason, failures };
+  if (isActive && result.outcome === 'fail') return { type: 'degraded', reason: result.reason, failures };
+  return null;
+}
+
+/**
+ * Run the selected checkers over the selected services, `concurrency`
+ * services at a time, recording every result in `history` (see history.js)
+ * when one is given. Each service's checkers run in order and its log lines
+ * are printed together once it is done.
+ * Returns per-checker outcome tallies, the website state transitions (in
+ * target order) and the run's timestamp.
+ */
+export async function runChecks(targets, checkers, {
+  concurrency = 1, log = console.log, history = null, policy = DEFAULT_POLICY,
+} = {}) {
+  const now = new Date().toISOString();
+  const tally = Object.fromEntries(checkers.map(c => [c.name, { pass: 0, fail: 0, error: 0 }]));
+  let done = 0;
+
+  const perTarget = await mapConcurrent(targets, concurrency, async ({ category, innovator }) => {
+    const lines = [];
+    let transition = null;
+    for (const checker of checkers) {
+      const result = await checker.run(innovator, { category, innovator, now, policy });
+      tally[checker.name][result.outcome]++;
+
+      const entries = history
+        ? recordResult(history, innovator.id, checker.name, result, now)
+        : [{ checked_at: now, ...result }];
+      const wasActive = innovator.status.is_active;
+      mergeInnovator(innovator, checker.updates(result, { category, innovator, now, policy, history: entries }));
+      lines.push(formatResult(checker, result));
+
+      if (checker.name === 'website') {
+        const change = detectTransition(innovator, wasActive, result);
+        if (change) transition = { id: innovator.id, name: innovator.name, category: category.category, ...change };
+      }
+    }
+    log([`[${++done}/${targets.length}] ${innovator.name} (${category.category})`, ...lines].join('\n'));
+    return transition;
+  });
+
+  return { tally, transitions: perTarget.filter(Boolean), now };
+}
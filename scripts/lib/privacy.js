@@ -0,0 +1,176 @@
+/**
+ * Homepage privacy scan: what a visitor's browser is exposed to before
+ * clicking anything
+ *
+ *   trackers                third-party scripts, pixels and frames from the
+ *                           bundled blocklist (src/data/trackers.json)
+ *   cookies_before_consent  cookies the homepage response sets
+ *   https / hsts            served over HTTPS; Strict-Transport-Security sent
+ *   security_txt            /.well-known/security.txt with a Contact field
+ *   privacy_policy          URL of a privacy policy link, or null
+ *
+ * Only the HTML is inspected; scripts are not executed, so trackers loaded
+ * by other scripts (e.g. through a tag manager) show up as the loader alone.
+ */
+
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { readText, siteDomain } from './http.js';
+import { client } from './client.js';
+import { findTags, findLinks, inlineScripts } from './html.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const TRACKERS_PATH = join(__dirname, '..', '..', 'src', 'data', 'trackers.json');
+
+const MAX_HTML_BYTES = 1024 * 1024;
+
+// Link text or URL of a privacy policy, in the languages the listed services use
+const PRIVACY_LINK_PATTERN = /privacy|datenschutz|confidentialit|privacidad|privacidade|riservatezza|privacybeleid|integritet|personvern|tietosuoja|prywatno|ochrana osobn|adatvédelem|プライバシー|個人情報|개인정보|隐私|隱私|gizlilik|konfidencialit/i;
+
+/**
+ * The blocklist: `{ domain: { company, category } }`
+ */
+export function loadTrackers({ path = TRACKERS_PATH } = {}) {
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * The blocklist entry covering a hostname (the domain itself or a subdomain)
+ */
+export function matchTracker(hostname, trackers) {
+  const host = hostname.toLowerCase();
+  for (const [domain, info] of Object.entries(trackers)) {
+    if (host === domain || host.endsWith(`.${domain}`)) return { domain, ...info };
+  }
+  return null;
+}
+
+// Every absolute URL a page loads or mentions in inline scripts
+function resourceUrls(html, pageUrl) {
+  const urls = [
+    ...findTags(html, 'script').map(a => a.src),
+    ...findTags(html, 'img').map(a => a.src),
+    ...findTags(html, 'iframe').map(a => a.src),
+    ...findTags(html, 'link').filter(a => /preconnect|dns-prefetch|preload|stylesheet/i.test(a.rel ?? '')).map(a => a.href),
+    ...inlineScripts(html).flatMap(body => [...body.matchAll(/(?:https?:)?\/\/[a-z0-9.-]+\.[a-z]{2,}[^\s'"`)]*/gi)].map(m => m[0])),
+  ];
+  return urls.filter(Boolean).flatMap(url => {
+    try {
+      return [new URL(url, pageUrl)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Third-party trackers a page loads, one entry per blocklist domain
+ */
+export function findTrackers(html, pageUrl, trackers) {
+  const firstParty = siteDomain(pageUrl);
+  const found = new Map();
+  for (const url of resourceUrls(html, pageUrl)) {
+    if (siteDomain(url.href) === firstParty) continue;
+    const tracker = matchTracker(url.hostname, trackers);
+    if (tracker && !found.has(tracker.domain)) found.set(tracker.domain, tracker);
+  }
+  return [...found.values()];
+}
+
+/**
+ * Absolute URL of the first privacy policy link on a page, or null
+ */
+export function findPrivacyPolicy(html, pageUrl) {
+  for (const { href, text } of findLinks(html)) {
+    if (!href || href.startsWith('#') || /^(javascript|mailto):/i.test(href)) continue;
+    if (PRIVACY_LINK_PATTERN.test(text) || PRIVACY_LINK_PATTERN.test(decodeURIComponentSafe(href))) {
+      try {
+        return new URL(href, pageUrl).href;
+      } catch {
+        continue;
+      }
+    }
+  }
+  return null;
+}
+
+function decodeURIComponentSafe(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * max-age of a Strict-Transport-Security header, or null without a valid one
+ */
+export function hstsMaxAge(header) {
+  const match = /max-age\s*=\s*"?(\d+)"?/i.exec(header ?? '');
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Names of the cookies a response sets
+ */
+export function cookieNames(response) {
+  const headers = typeof response.headers.getSetCookie === 'function'
+    ? response.headers.getSetCookie()
+    : [response.headers.get('set-cookie')].filter(Boolean);
+  return [...new Set(headers.map(header => header.split('=')[0].trim()).filter(Boolean))];
+}
+
+/**
+ * Whether the site publishes a security.txt (RFC 9116) with a Contact field
+ */
+export async function hasSecurityTxt(origin, { timeoutMs } = {}) {
+  for (const path of ['/.well-known/security.txt', '/security.txt']) {
+    try {
+      const response = await client.fetch(new URL(path, origin), { timeoutMs, cache: true });
+      if (!response.ok) {
+        await response.body?.cancel();
+        continue;
+      }
+      if (/^contact\s*:/im.test(await readText(response, 64 * 1024))) return true;
+    } catch {
+      // Unreachable or refused: treat as absent
+    }
+  }
+  return false;
+}
+
+/**
+ * Scan a homepage. Throws when the page itself can't be fetched (the caller
+ * decides how to classify that); everything else is best effort.
+ * Returns `{ final_url, http_code, trackers, cookies_before_consent, https,
+ * hsts, hsts_max_age, security_txt, privacy_policy }`.
+ */
+export async function scanHomepage(url, { trackers = loadTrackers(), timeoutMs } = {}) {
+  const response = await client.fetch(url, { timeoutMs, cache: true, headers: { Accept: 'text/html' } });
+  if (!response.ok) {
+    await response.body?.cancel();
+    const error = new Error(`homepage answered ${response.status}`);
+    error.httpCode = response.status;
+    throw error;
+  }
+  const finalUrl = response.url || url;
+  const maxAge = hstsMaxAge(response.headers.get('strict-transport-security'));
+  const html = await readText(response, MAX_HTML_BYTES);
+  const https = new URL(finalUrl).protocol === 'https:';
+
+  return {
+    final_url: finalUrl,
+    http_code: response.status,
+    trackers: findTrackers(html, finalUrl, trackers),
+    cookies_before_consent: cookieNames(response),
+    https,
+    // Browsers ignore the header over plain HTTP
+    hsts: https && maxAge !== null && maxAge > 0,
+    hsts_max_age: maxAge,
+    security_txt: await hasSecurityTxt(new URL(finalUrl).origin, { timeoutMs }),
+    privacy_policy: findPrivacyPolicy(html, finalUrl),
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * Audit report for a check run: a machine-readable JSON report and a
+ * Markdown summary for the humans reviewing it.
+ *
+ * The report lists services that started failing (with an error class),
+ * services hidden or recovered in this run, services that have been down
+ * for weeks (removal candidates) and Trustpilot/Wikidata verification
+ * changes. When an implausible share of websites fails at once it is
+ * flagged as a mass failure: that is the runner's network, not the web.
+ * Only conclusive checks count; inconclusive ones (`error`) are neither.
+ */
+
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { failureStreak } from './history.js';
+import { diffDatasets } from './changelog.js';
+import { writeJsonAtomic } from './store.js';
+
+export const DEFAULT_REPORT_OPTIONS = {
+  // Services failing continuously for this long are removal candidates
+  staleWeeks: 4,
+  // Share of failed conclusive website checks that counts as a mass failure (0 disables)...
+  massFailureRatio: 0.5,
+  // ...once at least this many websites were checked conclusively
+  massFailureMinChecked: 10,
+};
+
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Error classes, in the order the summary lists them
+export const ERROR_CLASSES = {
+  timeout: 'Timeout',
+  dns: 'DNS lookup failed',
+  connection: 'Connection refused/reset',
+  tls: 'TLS/certificate error',
+  blocked: 'Blocked (401/403/429)',
+  not_found: 'Not found (404/410)',
+  client_error: 'Other 4xx',
+  server_error: 'Server error (5xx)',
+  other: 'Other',
+};
+
+/**
+ * Error class of a website check reason (see classifyError()/probe() in http.js)
+ */
+export function errorClass(reason) {
+  if (reason === 'timeout') return 'timeout';
+  if (reason === 'dns_not_found') return 'dns';
+  if (reason === 'connection_refused' || reason === 'connection_reset' || reason === 'network_error') return 'connection';
+  if (reason === 'tls_error') return 'tls';
+  const status = Number(/^http_(\d{3})$/.exec(reason ?? '')?.[1]);
+  if ([401, 403, 429].includes(status)) return 'blocked';
+  if (status === 404 || status === 410) return 'not_found';
+  if (status >= 400 && status < 500) return 'client_error';
+  if (status >= 500) return 'server_error';
+  return 'other';
+}
+
+// The conclusive (pass/fail) entries, oldest first
+function conclusive(entries) {
+  return entries.filter(e => e.outcome === 'pass' || e.outcome === 'fail');
+}
+
+/**
+ * Build the report for a finished run.
+ *   before/after  services.json contents before and after the run
+ *   targets       the `{ category, innovator }` entries that were checked
+ *   history       history.json contents, including this run's results
+ *   tally         per-checker outcome counts from runChecks()
+ *   transitions   website transitions from runChecks()
+ */
+export function buildReport({ before, after, targets, history, tally, transitions, now }, options = {}) {
+  const { staleWeeks, massFailureRatio, massFailureMinChecked } = { ...DEFAULT_REPORT_OPTIONS, ...options };
+  const report = {
+    generated_at: now,
+    checked: targets.length,
+    tally,
+    website: null,
+    mass_failure: false,
+    hidden: [],
+    newly_failing: [],
+    recovered: [],
+    still_down: [],
+    verification_changes: diffDatasets(before, after, now).trust,
+    error_classes: {},
+  };
+
+  const website = tally.website;
+  if (website) {
+    // An inconclusive check (e.g. disallowed by robots.txt) says nothing about the site
+    const total = website.pass + website.fail;
+    const failureRatio = total > 0 ? website.fail / total : 0;
+    report.website = { ...website, failure_ratio: Math.round(failureRatio * 1000) / 1000 };
+    report.mass_failure = massFailureRatio > 0 && total >= massFailureMinChecked && failureRatio >= massFailureRatio;
+  }
+
+  const hiddenIds = new Set(transitions.filter(t => t.type === 'went_down').map(t => t.id));
+  for (const { category, innovator } of targets) {
+    const entries = history?.[innovator.id]?.website ?? [];
+    const latest = entries[entries.length - 1];
+    if (!latest || latest.checked_at !== now) continue;
+    const service = { id: innovator.id, name: innovator.name, category: category.category, url: innovator.url };
+
+    if (latest.outcome === 'fail') {
+      const cls = errorClass(latest.reason);
+      report.error_classes[cls] = (report.error_classes[cls] ?? 0) + 1;
+      const streak = failureStreak(entries);
+      // Network errors carry a stand-in code (408, 495, ...); only report real responses
+      const httpCode = latest.reason?.startsWith('http_') ? latest.http_code : null;
+      const failure = { ...service, reason: latest.reason, error_class: cls, http_code: httpCode, failures: streak.length };
+      if (hiddenIds.has(innovator.id)) report.hidden.push(failure);
+      if (streak.length === 1) report.newly_failing.push({ ...failure, hidden: hiddenIds.has(innovator.id) });
+
+      const since = streak[0].checked_at;
+      const weeks = Math.floor((Date.parse(now) - Date.parse(since)) / WEEK_MS);
+      if (weeks >= staleWeeks) report.still_down.push({ ...failure, since, weeks });
+    } else if (latest.outcome === 'pass') {
+      const previous = conclusive(entries.slice(0, -1)).at(-1);
+      if (previous?.outcome === 'fail') {
+        report.recovered.push({ ...service, previous_reason: previous.reason, shown_again: innovator.status.is_active });
+      }
+    }
+  }
+
+  return report;
+}
+
+function table(headers, rows) {
+  const escape = cell => String(cell ?? '—').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(escape).join(' | ')} |`),
+  ].join('\n');
+}
+
+/**
+ * The report as Markdown (for a pull request body or a job summary)
+ */
+export function formatReportMarkdown(report, options = {}) {
+  const { staleWeeks } = { ...DEFAULT_REPORT_OPTIONS, ...options };
+  const lines = [`# Service audit ${report.generated_at.slice(0, 10)}`, ''];
+
+  const w = report.website;
+  lines.push(w
+    ? `Checked ${report.checked} service(s). Website: ${w.pass} reachable, ${w.fail} failing, ${w.error} inconclusive (${Math.round(w.failure_ratio * 100)}% of conclusive checks failing).`
+    : `Checked ${report.checked} service(s); the website checker did not run.`);
+  if (report.mass_failure) {
+    lines.push('', `> **Mass failure:** ${Math.round(w.failure_ratio * 100)}% of websites failed at once. This points at the runner's network rather than real outages, so the results were not saved.`);
+  }
+
+  const section = (title, items, headers, row) => {
+    lines.push('', `## ${title} (${items.length})`, '');
+    lines.push(items.length > 0 ? table(headers, items.map(row)) : 'None.');
+  };
+  const label = cls => ERROR_CLASSES[cls] ?? cls;
+
+  section('Hidden from the site in this run', report.hidden, ['Service', 'Category', 'Error class', 'Reason', 'Failures in a row'],
+    s => [s.name, s.category, label(s.error_class), s.reason, s.failures]);
+  section('Newly failing', report.newly_failing, ['Service', 'Category', 'Error class', 'Reason', 'HTTP', 'Shown'],
+    s => [s.name, s.category, label(s.error_class), s.reason, s.http_code || '—', s.hidden ? 'hidden' : 'still shown']);
+  section('Recovered', report.recovered, ['Service', 'Category', 'Was failing with', 'Shown'],
+    s => [s.name, s.category, s.previous_reason, s.shown_again ? 'yes' : 'not yet']);
+  section(`Still down after ${staleWeeks}+ weeks (removal candidates)`, report.still_down, ['Service', 'Category', 'Failing since', 'Weeks', 'Error class', 'URL'],
+    s => [s.name, s.category, s.since.slice(0, 10), s.weeks, label(s.error_class), s.url]);
+  section('Verification changes', report.verification_changes, ['Service', 'Signal', 'From', 'To'],
+    t => [t.name, t.signal, t.from, t.to]);
+
+  const classes = Object.keys(ERROR_CLASSES).filter(cls => report.error_classes[cls]);
+  if (classes.length > 0) {
+    lines.push('', '## Failures by error class', '', table(['Error class', 'Services'], classes.map(cls => [label(cls), report.error_classes[cls]])));
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Write `<dir>/audit-report.json` and `<dir>/audit-summary.md`; returns both paths
+ */
+export function writeReport(report, dir, options = {}) {
+  const jsonPath = join(dir, 'audit-report.json');
+  const markdownPath = join(dir, 'audit-summary.md');
+  mkdirSync(dir, { recursive: true });
+  writeJsonAtomic(jsonPath, report);
+  writeFileSync(markdownPath, formatReportMarkdown(report, options));
+  return { jsonPath, markdownPath };
+}
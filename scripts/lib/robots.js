@@ -0,0 +1,75 @@
+/**
+ * robots.txt (RFC 9309) parsing and matching
+ *
+ * Only the groups naming our user agent apply (compared by product token,
+ * case-insensitively, so "GlobalBalanceEngine/1.0" and "globalbalanceengine"
+ * both name "GlobalBalanceEngine"), or the `*` group when there are none. The
+ * longest matching Allow/Disallow rule wins, Allow on a tie;
+ * `*` matches any run of characters and a trailing `$` anchors the end.
+ * Crawl-delay isn't part of the RFC but is honoured as a per-host interval.
+ */
+
+// The product token of a User-agent value ("GlobalBalanceEngine/1.1" → "globalbalanceengine")
+function productToken(value) {
+  return value.split('/')[0].trim().toLowerCase();
+}
+
+function parseLines(text) {
+  return text.split(/\r?\n/).flatMap(line => {
+    const match = /^\s*([A-Za-z-]+)\s*:\s*(.*?)\s*$/.exec(line.replace(/#.*/, ''));
+    return match ? [{ field: match[1].toLowerCase(), value: match[2] }] : [];
+  });
+}
+
+/**
+ * The rules of `text` that apply to `agent` (the product token, e.g.
+ * "GlobalBalanceEngine"): `{ rules: [{ allow, path }], crawlDelayMs }`
+ */
+export function parseRobots(text, agent) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+  for (const { field, value } of parseLines(text)) {
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) groups.push((current = { agents: [], rules: [], crawlDelayMs: null }));
+      current.agents.push(value === '*' ? '*' : productToken(value));
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+    if ((field === 'allow' || field === 'disallow') && value) current.rules.push({ allow: field === 'allow', path: value });
+    if (field === 'crawl-delay' && Number.isFinite(Number(value))) current.crawlDelayMs = Number(value) * 1000;
+  }
+
+  // A group names us only by our whole product token, not a prefix of it
+  const token = productToken(agent);
+  const matching = groups.filter(g => g.agents.some(a => a === token));
+  const chosen = matching.length > 0 ? matching : groups.filter(g => g.agents.includes('*'));
+  return {
+    rules: chosen.flatMap(g => g.rules),
+    crawlDelayMs: chosen.map(g => g.crawlDelayMs).find(delay => delay !== null) ?? null,
+  };
+}
+
+function pathPattern(path) {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Whether `path` (path plus query string) may be fetched under `rules`
+ */
+export function isAllowed(rules, path) {
+  let best = null;
+  for (const rule of rules) {
+    if (!pathPattern(rule.path).test(path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) best = rule;
+  }
+  return best ? best.allow : true;
+}
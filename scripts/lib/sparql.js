@@ -0,0 +1,84 @@
+/**
+ * Wikidata Query Service client with an on-disk response cache
+ *
+ * Every raw SPARQL response is saved under CACHE_DIR, keyed by a hash of the
+ * query text. With `offline: true` queries are answered from that cache only,
+ * so an import can be replayed (and its transform re-run) without touching
+ * query.wikidata.org.
+ */
+
+import { readFileSync, existsSync, mkdirSync } from 'fs';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { client } from './client.js';
+import { writeJsonAtomic } from './store.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const SPARQL_ENDPOINT = 'https://query.wikidata.org/sparql';
+export const CACHE_DIR = join(__dirname, '..', '..', '.cache', 'wikidata');
+// The query service allows up to a minute per query
+const QUERY_TIMEOUT_MS = 60000;
+
+function cachePath(query, cacheDir) {
+  const hash = createHash('sha256').update(query).digest('hex').slice(0, 16);
+  return join(cacheDir, `${hash}.json`);
+}
+
+/**
+ * Run a SPARQL query and return the raw JSON response.
+ * Online runs refresh the cache; offline runs throw if the query isn't cached.
+ */
+export async function runSparql(query, { offline = false, cacheDir = CACHE_DIR } = {}) {
+  const path = cachePath(query, cacheDir);
+
+  if (offline) {
+    if (!existsSync(path)) {
+      throw new Error(`No cached response for this query (${path}); run once without --offline first`);
+    }
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  }
+
+  const url = new URL(SPARQL_ENDPOINT);
+  url.searchParams.set('query', query);
+  url.searchParams.set('format', 'json');
+
+  // Pages are spaced by the client's per-host interval for query.wikidata.org
+  const response = await client.fetch(url, {
+    robots: false,
+    timeoutMs: QUERY_TIMEOUT_MS,
+    headers: { 'Accept': 'application/sparql-results+json' },
+  });
+  if (!response.ok) {
+    throw new Error(`Wikidata query failed: ${response.status} ${response.statusText}`);
+  }
+
+  const json = await response.json();
+  mkdirSync(cacheDir, { recursive: true });
+  writeJsonAtomic(path, json);
+  return json;
+}
+
+/**
+ * Page through a query with LIMIT/OFFSET. `buildQuery(limit, offset)` must
+ * return a query with a stable ORDER BY. Stops at the first short page or
+ * after `maxPages`, and returns all bindings.
+ */
+export async function fetchAllPages(buildQuery, { pageSize = 500, maxPages = 20, offline = false, cacheDir = CACHE_DIR, log = console.log } = {}) {
+  const bindings = [];
+
+  for (let page = 0; page < maxPages; page++) {
+    const offset = page * pageSize;
+    const json = await runSparql(buildQuery(pageSize, offset), { offline, cacheDir });
+    const rows = json.results?.bindings ?? [];
+    bindings.push(...rows);
+    log(`  page ${page + 1} (offset ${offset}): ${rows.length} rows${offline ? ' [cache]' : ''}`);
+
+    if (rows.length < pageSize) return bindings;
+  }
+
+  log(`  stopped after ${maxPages} pages; raise --max-pages to fetch more`);
+  return bindings;
+}
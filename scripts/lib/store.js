@@ -0,0 +1,426 @@
+/**
+ * Shared load/save for src/data/services.json
+ *
+ * Every script reads and writes the dataset through this module so that the
+ * shape is checked before anything touches disk, updates are merged field by
+ * field, and each save leaves a timestamped backup behind.
+ *
+ * src/data/incumbents.json lists the incumbent products (Gmail, WhatsApp,
+ * ...) that innovators point at through their `replaces` ids; validation
+ * checks those references too.
+ */
+
+import {
+  readFileSync, writeFileSync, renameSync, copyFileSync, existsSync,
+  mkdirSync, readdirSync, unlinkSync
+} from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join, basename } from 'path';
+import { isCountryCode, REGIONS } from '../../src/lib/geography.js';
+import { LOCALES, DEFAULT_LOCALE } from '../../src/lib/locales.js';
+import { DESCRIPTION_ORIGINS } from '../../src/lib/descriptions.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const SERVICES_PATH = join(__dirname, '..', '..', 'src', 'data', 'services.json');
+export const INCUMBENTS_PATH = join(__dirname, '..', '..', 'src', 'data', 'incumbents.json');
+export const BACKUP_DIR = join(__dirname, '..', '..', 'src', 'data', 'backups');
+const MAX_BACKUPS = 10;
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const QID_PATTERN = /^Q\d+$/;
+const CHECK_STATUSES = {
+  website_status: ['active', 'inactive', 'unchecked'],
+  trustpilot_status: ['verified', 'unverified', 'unchecked'],
+  wikidata_status: ['verified', 'needs_review', 'unverified', 'unchecked'],
+  privacy_status: ['no_trackers', 'trackers', 'unchecked'],
+};
+const CHECK_OUTCOMES = ['pass', 'fail', 'error'];
+
+/**
+ * Thrown when a dataset fails validation; `errors` lists every problem found
+ */
+export class DatasetValidationError extends Error {
+  constructor(errors) {
+    super(`services.json failed validation with ${errors.length} error(s):\n  - ${errors.join('\n  - ')}`);
+    this.name = 'DatasetValidationError';
+    this.errors = errors;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isTimestampOrNull(value) {
+  return value === null || (typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+}
+
+export function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function isOrganization(value) {
+  return isPlainObject(value) && QID_PATTERN.test(value.qid) && isNonEmptyString(value.name)
+    && (value.jurisdiction === null || isCountryCode(value.jurisdiction));
+}
+
+function validateOwnership(ownership, where, errors) {
+  if (!isPlainObject(ownership) || !Array.isArray(ownership.chain)) {
+    errors.push(`${where}: ownership must be an object with a chain array`);
+    return;
+  }
+  for (const field of ['parent', 'owner']) {
+    if (ownership[field] !== null && !isOrganization(ownership[field])) {
+      errors.push(`${where}: ownership.${field} must be { qid, name, jurisdiction } or null`);
+    }
+  }
+  if (!ownership.chain.every(org => isOrganization(org) && ['P749', 'P127'].includes(org.via))) {
+    errors.push(`${where}: ownership.chain entries must be { qid, name, jurisdiction, via: P749/P127 }`);
+  }
+  if (ownership.retrieved_at === null || !isTimestampOrNull(ownership.retrieved_at)) {
+    errors.push(`${where}: ownership.retrieved_at must be an ISO timestamp`);
+  }
+}
+
+function validateInnovator(inn, where, errors) {
+  if (!isPlainObject(inn)) {
+    errors.push(`${where}: innovator must be an object`);
+    return;
+  }
+
+  if (!isNonEmptyString(inn.id) || !ID_PATTERN.test(inn.id)) {
+    errors.push(`${where}: id must be a lowercase slug (got ${JSON.stringify(inn.id)})`);
+  }
+  for (const field of ['name', 'description']) {
+    if (!isNonEmptyString(inn[field])) errors.push(`${where}: ${field} must be a non-empty string`);
+  }
+  if (inn.description_source !== undefined) {
+    const source = inn.description_source;
+    if (!isPlainObject(source) || !DESCRIPTION_ORIGINS.includes(source.origin)) {
+      errors.push(`${where}: description_source.origin must be one of ${DESCRIPTION_ORIGINS.join('/')}`);
+    } else if ((source.ref !== undefined && !isNonEmptyString(source.ref))
+      || (source.retrieved_at !== undefined && !isTimestampOrNull(source.retrieved_at))) {
+      errors.push(`${where}: description_source.ref must be a non-empty string and retrieved_at an ISO timestamp`);
+    }
+  }
+  if (!isCountryCode(inn.country)) {
+    errors.push(`${where}: country must be an ISO 3166-1 alpha-2 code (got ${JSON.stringify(inn.country)})`);
+  }
+  // A region that disagrees with the country is curated data to review, not
+  // a malformed record: the region-country lint rule reports it
+  if (!REGIONS.includes(inn.region)) {
+    errors.push(`${where}: region must be one of the regions in src/lib/geography.js (got ${JSON.stringify(inn.region)})`);
+  }
+  if (!isHttpUrl(inn.url)) errors.push(`${where}: url must be an http(s) URL (got ${JSON.stringify(inn.url)})`);
+  if (inn.replaces !== undefined) {
+    if (!Array.isArray(inn.replaces) || !inn.replaces.every(id => isNonEmptyString(id) && ID_PATTERN.test(id))) {
+      errors.push(`${where}: replaces must be an array of incumbent ids`);
+    } else if (new Set(inn.replaces).size !== inn.replaces.length) {
+      errors.push(`${where}: replaces lists an incumbent more than once`);
+    }
+  }
+  if (inn.translations !== undefined) {
+    if (!isPlainObject(inn.translations)) {
+      errors.push(`${where}: translations must be an object keyed by locale`);
+    } else {
+      for (const [locale, translation] of Object.entries(inn.translations)) {
+        if (!LOCALES.includes(locale) || locale === DEFAULT_LOCALE) {
+          errors.push(`${where}: translations.${locale} is not a site locale (${LOCALES.filter(l => l !== DEFAULT_LOCALE).join('/')})`);
+        } else if (!isPlainObject(translation) || !['name', 'description'].some(field => field in translation)
+          || !Object.entries(translation).every(([field, value]) => ['name', 'description'].includes(field) && isNonEmptyString(value))) {
+          errors.push(`${where}: translations.${locale} must have a non-empty name and/or description and nothing else`);
+        }
+      }
+    }
+  }
+
+  const { status } = inn;
+  if (!isPlainObject(status)) {
+    errors.push(`${where}: status must be an object`);
+  } else {
+    if (typeof status.is_active !== 'boolean') errors.push(`${where}: status.is_active must be a boolean`);
+    if (!isTimestampOrNull(status.last_checked)) errors.push(`${where}: status.last_checked must be an ISO timestamp or null`);
+    if (!Number.isInteger(status.http_code)) errors.push(`${where}: status.http_code must be an integer`);
+    if (status.consecutive_failures !== undefined && !(Number.isInteger(status.consecutive_failures) && status.consecutive_failures >= 0)) {
+      errors.push(`${where}: status.consecutive_failures must be a non-negative integer`);
+    }
+    if (status.uptime !== undefined) {
+      const { passed, total } = status.uptime ?? {};
+      if (!(Number.isInteger(passed) && Number.isInteger(total) && passed >= 0 && passed <= total)) {
+        errors.push(`${where}: status.uptime must be { passed, total } with 0 <= passed <= total`);
+      }
+    }
+  }
+
+  if (inn.ownership !== undefined && inn.ownership !== null) {
+    validateOwnership(inn.ownership, where, errors);
+    // The owner belongs to the linked item; a rejected or doubtful link must not keep it
+    const wikidataStatus = inn.trust_data?.wikidata_status;
+    if (wikidataStatus === 'unverified' || wikidataStatus === 'needs_review') {
+      errors.push(`${where}: ownership is only kept for a verified (or not yet checked) Wikidata link, not ${wikidataStatus}`);
+    }
+  }
+
+  const trust = inn.trust_data;
+  if (trust === undefined) return;
+  if (!isPlainObject(trust)) {
+    errors.push(`${where}: trust_data must be an object`);
+    return;
+  }
+  for (const [field, allowed] of Object.entries(CHECK_STATUSES)) {
+    if (trust[field] !== undefined && !allowed.includes(trust[field])) {
+      errors.push(`${where}: trust_data.${field} must be one of ${allowed.join('/')} (got ${JSON.stringify(trust[field])})`);
+    }
+  }
+  if (trust.wikidata_id !== undefined && trust.wikidata_id !== null && !QID_PATTERN.test(trust.wikidata_id)) {
+    errors.push(`${where}: trust_data.wikidata_id must be a QID or null (got ${JSON.stringify(trust.wikidata_id)})`);
+  }
+  if (trust.last_checked !== undefined && !isTimestampOrNull(trust.last_checked)) {
+    errors.push(`${where}: trust_data.last_checked must be an ISO timestamp or null`);
+  }
+  if (trust.wikidata_confidence !== undefined && !(typeof trust.wikidata_confidence === 'number' && trust.wikidata_confidence >= 0 && trust.wikidata_confidence <= 1)) {
+    errors.push(`${where}: trust_data.wikidata_confidence must be a number between 0 and 1`);
+  }
+  if (trust.wikidata_evidence !== undefined && !Array.isArray(trust.wikidata_evidence)) {
+    errors.push(`${where}: trust_data.wikidata_evidence must be an array`);
+  }
+  if (trust.privacy !== undefined) {
+    const privacy = trust.privacy;
+    if (!isPlainObject(privacy) || !Array.isArray(privacy.trackers) || !Array.isArray(privacy.cookies_before_consent)
+      || !['https', 'hsts', 'security_txt'].every(field => typeof privacy[field] === 'boolean')) {
+      errors.push(`${where}: trust_data.privacy must have trackers and cookies_before_consent arrays and https/hsts/security_txt booleans`);
+    }
+  }
+  if (trust.checks !== undefined) {
+    if (!isPlainObject(trust.checks)) {
+      errors.push(`${where}: trust_data.checks must be an object`);
+      return;
+    }
+    for (const [name, check] of Object.entries(trust.checks)) {
+      if (!isPlainObject(check) || !CHECK_OUTCOMES.includes(check.outcome) || !isNonEmptyString(check.reason)) {
+        errors.push(`${where}: trust_data.checks.${name} must have an outcome (${CHECK_OUTCOMES.join('/')}) and a reason`);
+      }
+    }
+  }
+}
+
+/**
+ * Check the incumbents list: unique slug ids, a name, hq and known category,
+ * and aliases that are lowercase and not shared between two incumbents
+ */
+export function validateIncumbents(incumbents, categoryNames) {
+  if (!Array.isArray(incumbents)) return ['incumbents must be an array'];
+
+  const errors = [];
+  const seenIds = new Set();
+  const seenAliases = new Map();
+  incumbents.forEach((inc, i) => {
+    const where = `incumbents > ${inc?.id ?? `[${i}]`}`;
+    if (!isPlainObject(inc)) {
+      errors.push(`${where}: incumbent must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(inc.id) || !ID_PATTERN.test(inc.id)) {
+      errors.push(`${where}: id must be a lowercase slug (got ${JSON.stringify(inc.id)})`);
+    } else if (seenIds.has(inc.id)) {
+      errors.push(`${where}: duplicate id`);
+    } else {
+      seenIds.add(inc.id);
+    }
+    if (!isNonEmptyString(inc.name)) errors.push(`${where}: name must be a non-empty string`);
+    if (!isCountryCode(inc.hq)) errors.push(`${where}: hq must be a country code (got ${JSON.stringify(inc.hq)})`);
+    if (inc.owner !== undefined && !isNonEmptyString(inc.owner)) {
+      errors.push(`${where}: owner must be a non-empty string when present`);
+    }
+    if (categoryNames && !categoryNames.has(inc.category)) {
+      errors.push(`${where}: unknown category ${JSON.stringify(inc.category)}`);
+    }
+    if (!Array.isArray(inc.aliases) || !inc.aliases.every(isNonEmptyString)) {
+      errors.push(`${where}: aliases must be an array of strings`);
+      return;
+    }
+    for (const alias of inc.aliases) {
+      if (alias !== alias.toLowerCase().trim()) errors.push(`${where}: alias "${alias}" must be lowercase and trimmed`);
+      if (seenAliases.has(alias)) errors.push(`${where}: alias "${alias}" is also used by ${seenAliases.get(alias)}`);
+      else seenAliases.set(alias, inc.id);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Check the category/innovator/status/trust_data shape and id uniqueness.
+ * When `incumbents` is given it is validated too, and every innovator's
+ * `replaces` ids must exist in it.
+ * Returns a list of human-readable errors (empty when the dataset is valid).
+ */
+export function validateDataset(data, { incumbents } = {}) {
+  const errors = [];
+
+  if (!Array.isArray(data)) {
+    return ['dataset must be an array of categories'];
+  }
+
+  const seenCategories = new Set();
+  const seenIds = new Map();
+
+  data.forEach((cat, ci) => {
+    const catWhere = `categories[${ci}]`;
+    if (!isPlainObject(cat)) {
+      errors.push(`${catWhere}: category must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(cat.category)) {
+      errors.push(`${catWhere}: category name must be a non-empty string`);
+    } else if (seenCategories.has(cat.category)) {
+      errors.push(`${catWhere}: duplicate category "${cat.category}"`);
+    } else {
+      seenCategories.add(cat.category);
+    }
+    if (cat.icon !== undefined && !isNonEmptyString(cat.icon)) {
+      errors.push(`${catWhere}: icon must be a non-empty string when present`);
+    }
+    if (!isPlainObject(cat.incumbent) || !isNonEmptyString(cat.incumbent.name) || !isCountryCode(cat.incumbent.hq)) {
+      errors.push(`${catWhere}: incumbent must have a name and an hq country code`);
+    }
+    if (!Array.isArray(cat.innovators)) {
+      errors.push(`${catWhere}: innovators must be an array`);
+      return;
+    }
+
+    cat.innovators.forEach((inn, ii) => {
+      const where = `${cat.category ?? catWhere} > ${inn?.id ?? `innovators[${ii}]`}`;
+      validateInnovator(inn, where, errors);
+      if (isNonEmptyString(inn?.id)) {
+        if (seenIds.has(inn.id)) {
+          errors.push(`${where}: duplicate id (also in ${seenIds.get(inn.id)})`);
+        } else {
+          seenIds.set(inn.id, cat.category);
+        }
+      }
+    });
+  });
+
+  if (incumbents !== undefined) {
+    errors.push(...validateIncumbents(incumbents, seenCategories));
+    const known = new Set(Array.isArray(incumbents) ? incumbents.map(inc => inc?.id) : []);
+    for (const cat of data) {
+      for (const inn of Array.isArray(cat?.innovators) ? cat.innovators : []) {
+        for (const id of Array.isArray(inn?.replaces) ? inn.replaces : []) {
+          if (!known.has(id)) errors.push(`${cat.category} > ${inn.id}: replaces unknown incumbent "${id}"`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read incumbents.json
+ */
+export function loadIncumbents({ path = INCUMBENTS_PATH } = {}) {
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+/**
+ * Read services.json. Pass `{ strict: true }` to throw if it is already invalid.
+ */
+export function loadServices({ path = SERVICES_PATH, strict = false } = {}) {
+  const data = JSON.parse(readFileSync(path, 'utf-8'));
+  if (strict) {
+    const errors = validateDataset(data, { incumbents: loadIncumbents() });
+    if (errors.length > 0) throw new DatasetValidationError(errors);
+  }
+  return data;
+}
+
+function pruneBackups(name) {
+  const prefix = `${name}.`;
+  const backups = readdirSync(BACKUP_DIR)
+    .filter(f => f.startsWith(prefix))
+    .sort();
+  for (const old of backups.slice(0, Math.max(0, backups.length - MAX_BACKUPS))) {
+    unlinkSync(join(BACKUP_DIR, old));
+  }
+}
+
+/**
+ * Validate and write services.json atomically (temp file + rename),
+ * copying the previous version into BACKUP_DIR first.
+ * `replaces` references are checked against incumbents.json unless other
+ * `incumbents` are passed.
+ * Throws DatasetValidationError without touching the file if validation fails.
+ */
+export function saveServices(data, { path = SERVICES_PATH, backup = true, incumbents = loadIncumbents() } = {}) {
+  const errors = validateDataset(data, { incumbents });
+  if (errors.length > 0) throw new DatasetValidationError(errors);
+
+  if (backup && existsSync(path)) {
+    mkdirSync(BACKUP_DIR, { recursive: true });
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const name = basename(path, '.json');
+    copyFileSync(path, join(BACKUP_DIR, `${name}.${stamp}.json`));
+    pruneBackups(name);
+  }
+
+  writeJsonAtomic(path, data);
+}
+
+/**
+ * Write JSON to a temp file next to `path` and rename it into place, so a
+ * crash mid-write never leaves a truncated file behind
+ */
+export function writeJsonAtomic(path, value) {
+  const tmpPath = `${path}.${process.pid}.tmp`;
+  writeFileSync(tmpPath, JSON.stringify(value, null, 2));
+  renameSync(tmpPath, path);
+}
+
+/**
+ * Merge `updates` into an innovator in place. Nested objects (status,
+ * trust_data, ...) are merged key by key so one check never wipes another's
+ * results; `undefined` values are ignored.
+ */
+export function mergeInnovator(innovator, updates) {
+  for (const [key, value] of Object.entries(updates)) {
+    if (value === undefined) continue;
+    if (isPlainObject(value) && isPlainObject(innovator[key])) {
+      mergeInnovator(innovator[key], value);
+    } else {
+      innovator[key] = isPlainObject(value) ? mergeInnovator({}, value) : value;
+    }
+  }
+  return innovator;
+}
+
+/**
+ * Flatten the dataset into `{ category, innovator }` pairs
+ */
+export function listInnovators(data) {
+  const entries = [];
+  for (const category of data) {
+    for (const innovator of category.innovators) {
+      entries.push({ category, innovator });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Find an innovator by id, returning `{ category, innovator }` or null
+ */
+export function findInnovator(data, id) {
+  return listInnovators(data).find(entry => entry.innovator.id === id) ?? null;
+}
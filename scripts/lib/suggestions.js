@@ -0,0 +1,120 @@
+/**
+ * The suggestion intake queue in src/data/suggestions.json
+ *
+ * Suggestions from the site's form (or typed in by hand) wait here as
+ * `pending` until a maintainer accepts or rejects them with
+ * scripts/suggestions.js. Reviewed entries stay in the queue with their
+ * decision, so a re-submitted duplicate is easy to spot.
+ */
+
+import { existsSync, readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { writeJsonAtomic, isHttpUrl } from './store.js';
+import { generateId, indexDataset, normalizeDomain } from './merge.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const SUGGESTIONS_PATH = join(__dirname, '..', '..', 'src', 'data', 'suggestions.json');
+export const SUGGESTION_STATUSES = ['pending', 'accepted', 'rejected'];
+
+const SUGGESTION_FIELDS = ['name', 'url', 'category', 'country', 'description'];
+
+/**
+ * Lowercased name without punctuation or spaces, for duplicate detection
+ */
+export function normalizeName(name) {
+  return generateId(name ?? '').replace(/-/g, '');
+}
+
+/**
+ * Check the queue's shape; returns human-readable errors
+ */
+export function validateSuggestions(queue) {
+  if (!Array.isArray(queue)) return ['suggestions must be an array'];
+
+  const errors = [];
+  const seen = new Set();
+  queue.forEach((s, i) => {
+    const where = `suggestions > ${s?.id ?? `[${i}]`}`;
+    if (typeof s?.id !== 'string' || !s.id) errors.push(`${where}: id is required`);
+    else if (seen.has(s.id)) errors.push(`${where}: duplicate id`);
+    else seen.add(s.id);
+    if (typeof s?.name !== 'string' || !s.name.trim()) errors.push(`${where}: name is required`);
+    if (!isHttpUrl(s?.url)) errors.push(`${where}: url must be an http(s) URL`);
+    if (!SUGGESTION_STATUSES.includes(s?.status)) {
+      errors.push(`${where}: status must be one of ${SUGGESTION_STATUSES.join('/')}`);
+    }
+    if (Number.isNaN(Date.parse(s?.submitted_at))) errors.push(`${where}: submitted_at must be an ISO timestamp`);
+  });
+  return errors;
+}
+
+export function loadSuggestions({ path = SUGGESTIONS_PATH } = {}) {
+  if (!existsSync(path)) return [];
+  return JSON.parse(readFileSync(path, 'utf-8'));
+}
+
+export function saveSuggestions(queue, { path = SUGGESTIONS_PATH } = {}) {
+  const errors = validateSuggestions(queue);
+  if (errors.length > 0) throw new Error(`suggestions.json failed validation:\n  - ${errors.join('\n  - ')}`);
+  writeJsonAtomic(path, queue);
+}
+
+/**
+ * Turn raw form/CLI input into a pending queue entry. Throws if the name or
+ * URL is missing or invalid.
+ */
+export function createSuggestion(input, queue, now = new Date().toISOString()) {
+  const fields = {};
+  for (const field of SUGGESTION_FIELDS) {
+    const value = typeof input[field] === 'string' ? input[field].trim() : '';
+    fields[field] = value || null;
+  }
+  if (!fields.name) throw new Error('A suggestion needs a name');
+  if (!isHttpUrl(fields.url)) throw new Error(`A suggestion needs an http(s) URL (got ${JSON.stringify(input.url)})`);
+
+  const base = generateId(fields.name) || 'suggestion';
+  const taken = new Set(queue.map(s => s.id));
+  let id = base;
+  for (let n = 2; taken.has(id); n++) id = `${base}-${n}`;
+
+  return {
+    id,
+    ...fields,
+    status: 'pending',
+    submitted_at: typeof input.submitted_at === 'string' && !Number.isNaN(Date.parse(input.submitted_at)) ? input.submitted_at : now,
+    reviewed_at: null,
+    note: null,
+    innovator_id: null,
+  };
+}
+
+/**
+ * Services and other queue entries that share the suggestion's domain or
+ * name. Returns `[{ match: 'domain' | 'name', source: 'dataset' | 'queue', id, name, status? }]`.
+ */
+export function findDuplicates(suggestion, data, queue = []) {
+  const duplicates = [];
+  const domain = normalizeDomain(suggestion.url);
+  // Names without Latin letters normalize to '' and aren't compared
+  const name = normalizeName(suggestion.name);
+
+  const { byDomain, byId } = indexDataset(data);
+  const domainHit = domain && byDomain.get(domain);
+  if (domainHit) duplicates.push({ match: 'domain', source: 'dataset', id: domainHit.innovator.id, name: domainHit.innovator.name });
+  for (const { innovator } of byId.values()) {
+    if (name && innovator !== domainHit?.innovator && normalizeName(innovator.name) === name) {
+      duplicates.push({ match: 'name', source: 'dataset', id: innovator.id, name: innovator.name });
+    }
+  }
+
+  for (const other of queue) {
+    if (other.id === suggestion.id) continue;
+    const match = domain && normalizeDomain(other.url) === domain ? 'domain'
+      : name && normalizeName(other.name) === name ? 'name' : null;
+    if (match) duplicates.push({ match, source: 'queue', id: other.id, name: other.name, status: other.status });
+  }
+  return duplicates;
+}
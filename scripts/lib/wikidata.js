@@ -0,0 +1,106 @@
+/**
+ * Minimal Wikidata API client (wbsearchentities / wbgetentities)
+ */
+
+import { client } from './client.js';
+import { toCountryCode } from '../../src/lib/geography.js';
+
+const WIKIDATA_API = 'https://www.wikidata.org/w/api.php';
+// wbgetentities accepts at most 50 ids per request
+const MAX_IDS_PER_REQUEST = 50;
+
+async function callApi(params) {
+  const url = new URL(WIKIDATA_API);
+  for (const [key, value] of Object.entries({ ...params, format: 'json' })) {
+    url.searchParams.set(key, value);
+  }
+
+  // An API, not pages to crawl: robots.txt doesn't apply
+  const response = await client.fetch(url, { robots: false });
+  if (!response.ok) {
+    const error = new Error(`Wikidata API ${params.action} failed: ${response.status}`);
+    error.httpCode = response.status;
+    throw error;
+  }
+  const json = await response.json();
+  if (json.error) throw new Error(`Wikidata API ${params.action} failed: ${json.error.info}`);
+  return json;
+}
+
+/**
+ * Search entities by label/alias. Returns `[{ id, label, description }]`.
+ */
+export async function searchEntities(query, { language = 'en', limit = 7 } = {}) {
+  const json = await callApi({
+    action: 'wbsearchentities',
+    search: query,
+    language,
+    uselang: language,
+    type: 'item',
+    limit: String(limit),
+  });
+  return (json.search ?? []).map(hit => ({ id: hit.id, label: hit.label, description: hit.description }));
+}
+
+/**
+ * Fetch entities by QID, batching as the API requires.
+ * Returns a map of QID → entity JSON (missing entities are left out).
+ */
+export async function getEntities(ids, { props = 'labels|aliases|descriptions|claims', languages = 'en' } = {}) {
+  const unique = [...new Set(ids)];
+  const entities = {};
+
+  for (let i = 0; i < unique.length; i += MAX_IDS_PER_REQUEST) {
+    const batch = unique.slice(i, i + MAX_IDS_PER_REQUEST);
+    const json = await callApi({ action: 'wbgetentities', ids: batch.join('|'), props, languages });
+    for (const [id, entity] of Object.entries(json.entities ?? {})) {
+      if (!('missing' in entity)) entities[id] = entity;
+    }
+  }
+
+  return entities;
+}
+
+/**
+ * Values of a property on an entity: strings for URL/string properties,
+ * QIDs for item properties. Deprecated statements are skipped.
+ */
+export function claimValues(entity, property) {
+  return (entity?.claims?.[property] ?? [])
+    .filter(claim => claim.rank !== 'deprecated')
+    .map(claim => claim.mainsnak?.datavalue?.value)
+    .filter(value => value !== undefined)
+    .map(value => (typeof value === 'object' && value.id ? value.id : value));
+}
+
+/**
+ * An entity's label in `language`, or null
+ */
+export function entityLabel(entity, language = 'en') {
+  return entity?.labels?.[language]?.value ?? null;
+}
+
+/**
+ * An entity's label plus aliases in `language`
+ */
+export function entityNames(entity, language = 'en') {
+  const label = entityLabel(entity, language);
+  const aliases = (entity?.aliases?.[language] ?? []).map(alias => alias.value);
+  return label ? [label, ...aliases] : aliases;
+}
+
+/**
+ * ISO 3166-1 alpha-2 codes of country entities, by QID: their P297 claim,
+ * falling back to the English label (and to the QID itself)
+ */
+export async function countryCodes(ids) {
+  if (ids.length === 0) return {};
+  const countries = await getEntities(ids, { props: 'labels|claims' });
+  return Object.fromEntries(Object.entries(countries).map(([id, e]) =>
+    [id, claimValues(e, 'P297')[0] ?? toCountryCode(entityLabel(e)) ?? id]
+  ));
+}
+
+export function entityUrl(id) {
+  return `https://www.wikidata.org/wiki/${id}`;
+}
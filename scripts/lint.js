@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Content-quality lint for services.json
+ *
+ * Runs the rules in scripts/lib/lint.js and reports their findings with
+ * severities. Exits with status 1 when there are findings at or above
+ * --fail-on that are not in the baseline (src/data/lint_baseline.json).
+ *
+ * Usage:
+ *   node scripts/lint.js [--rules duplicate-url,big-tech-url] [--online]
+ *                        [--fail-on error] [--format text|json|markdown]
+ *   node scripts/lint.js --update-baseline    (accept the current errors and warnings
+ *                                              of the rules that run)
+ */
+
+import { parseArgs } from 'util';
+import { loadServices } from './lib/store.js';
+import {
+  RULES, SEVERITIES, BASELINE_PATH, selectRules, runLint, failingFindings, loadBaseline, saveBaseline,
+} from './lib/lint.js';
+
+const FORMATS = ['text', 'json', 'markdown'];
+
+const USAGE = `Usage: node scripts/lint.js [options]
+
+Options:
+  --rules <list>      Comma-separated rules to run (default: all offline rules)
+  --online            Also run the rules that query Wikidata
+  --fail-on <level>   Exit with status 1 on new findings of this severity or worse:
+                      ${SEVERITIES.join(', ')} or none (default: error)
+  --format <format>   ${FORMATS.join(', ')} (default: text)
+  --no-baseline       Treat every finding as new
+  --update-baseline   Record the current errors and warnings of the rules that run
+                      as known in ${BASELINE_PATH}; other rules' entries are kept
+  --help              Show this message
+
+Rules:
+${RULES.map(r => `  ${r.id.padEnd(24)} ${r.severity.padEnd(8)} ${r.description}${r.online ? ' (online)' : ''}`).join('\n')}
+`;
+
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      rules: { type: 'string' },
+      online: { type: 'boolean', default: false },
+      'fail-on': { type: 'string', default: 'error' },
+      format: { type: 'string', default: 'text' },
+      'no-baseline': { type: 'boolean', default: false },
+      'update-baseline': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  if (values['fail-on'] !== 'none' && !SEVERITIES.includes(values['fail-on'])) {
+    throw new Error(`--fail-on expects one of ${SEVERITIES.join(', ')} or none`);
+  }
+  if (!FORMATS.includes(values.format)) throw new Error(`--format expects one of ${FORMATS.join(', ')}`);
+
+  return {
+    rules: values.rules ? values.rules.split(',').map(s => s.trim()).filter(Boolean) : [],
+    online: values.online,
+    failOn: values['fail-on'],
+    format: values.format,
+    baseline: !values['no-baseline'],
+    updateBaseline: values['update-baseline'],
+    help: values.help,
+  };
+}
+
+function counts(findings) {
+  return SEVERITIES.map(severity => {
+    const matching = findings.filter(f => f.severity === severity);
+    const known = matching.filter(f => f.known).length;
+    return `${matching.length} ${severity}${known > 0 ? ` (${known} known)` : ''}`;
+  }).join(', ');
+}
+
+function printText({ findings, skipped }, failing) {
+  for (const f of findings) {
+    console.log(`${f.severity.padEnd(7)} ${f.rule.padEnd(24)} ${f.id}: ${f.message}${f.known ? ' (known)' : ''}`);
+  }
+  for (const { rule, reason } of skipped) console.log(`skipped ${rule.padEnd(24)} ${reason}`);
+  console.log(`\n${counts(findings)}; ${failing.length} new finding(s) fail the lint`);
+}
+
+function printMarkdown({ findings, skipped }, failing) {
+  const escape = text => String(text).replace(/\|/g, '\\|');
+  const table = rows => [
+    '| Severity | Rule | Service | Finding | Known |',
+    '| --- | --- | --- | --- | --- |',
+    ...rows.map(f => `| ${f.severity} | ${f.rule} | ${f.id} | ${escape(f.message)} | ${f.known ? 'yes' : ''} |`),
+  ];
+  const lines = ['## Dataset lint', '', `${counts(findings)}; ${failing.length} new finding(s) fail the lint.`];
+  const notices = findings.filter(f => f.severity === 'info');
+  const problems = findings.filter(f => f.severity !== 'info');
+  if (problems.length > 0) lines.push('', ...table(problems));
+  // Usually long (every placeholder description), so folded away
+  if (notices.length > 0) {
+    lines.push('', `<details><summary>${notices.length} info finding(s)</summary>`, '', ...table(notices), '', '</details>');
+  }
+  for (const { rule, reason } of skipped) lines.push('', `Skipped ${rule}: ${escape(reason)}`);
+  console.log(lines.join('\n'));
+}
+
+async function main() {
+  const options = parseOptions(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const rules = selectRules(options.rules, { online: options.online });
+  const data = loadServices();
+  const result = await runLint(data, rules, { baseline: options.baseline ? loadBaseline() : new Set() });
+
+  if (options.updateBaseline) {
+    const accepted = result.findings.filter(f => f.severity !== 'info');
+    saveBaseline(accepted, { rules: rules.map(rule => rule.id) });
+    console.log(`Recorded ${accepted.length} finding(s) in ${BASELINE_PATH}`);
+    return;
+  }
+
+  const failing = options.failOn === 'none' ? [] : failingFindings(result.findings, options.failOn);
+  if (options.format === 'json') console.log(JSON.stringify({ ...result, failing: failing.length }, null, 2));
+  else if (options.format === 'markdown') printMarkdown(result, failing);
+  else printText(result, failing);
+
+  if (failing.length > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
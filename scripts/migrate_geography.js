@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Converts free-text countries and regions to ISO 3166-1 alpha-2 codes
+ *
+ * Every innovator's `country` becomes a code. A missing `region` is filled
+ * in from the region src/lib/geography.js groups that code under; a curated
+ * region is never overwritten, and one that disagrees with the country is
+ * listed for manual review. Incumbent `hq` values (in services.json and
+ * incumbents.json) become codes too.
+ *
+ * Values that can't be mapped (including region names geography.js doesn't
+ * know) are listed and nothing is written; fix them by hand (a name or a
+ * code both work) and run it again. Already migrated records are left as
+ * they are, so the script is safe to re-run.
+ *
+ * Usage: node scripts/migrate_geography.js [--dry-run]
+ */
+
+import { parseArgs } from 'util';
+import {
+  loadServices, saveServices, loadIncumbents, writeJsonAtomic, listInnovators, INCUMBENTS_PATH,
+} from './lib/store.js';
+import { toCountryCode, regionOf, REGIONS } from '../src/lib/geography.js';
+
+function main() {
+  const { values } = parseArgs({
+    options: { 'dry-run': { type: 'boolean', default: false } },
+  });
+
+  const data = loadServices();
+  const incumbents = loadIncumbents();
+  const changes = [];
+  const unmapped = [];
+  const review = [];
+
+  const convert = (where, field, value, apply) => {
+    const code = toCountryCode(value);
+    if (!code) {
+      unmapped.push(`${where}: ${field} ${JSON.stringify(value)}`);
+      return null;
+    }
+    if (code !== value) {
+      changes.push(`${where}: ${field} ${value} → ${code}`);
+      apply(code);
+    }
+    return code;
+  };
+
+  for (const { innovator } of listInnovators(data)) {
+    const code = convert(innovator.id, 'country', innovator.country, c => { innovator.country = c; });
+    if (!code) continue;
+    const region = regionOf(code);
+    if (!innovator.region) {
+      changes.push(`${innovator.id}: region (none) → ${region}`);
+      innovator.region = region;
+    } else if (!REGIONS.includes(innovator.region)) {
+      unmapped.push(`${innovator.id}: region ${JSON.stringify(innovator.region)}`);
+    } else if (innovator.region !== region) {
+      review.push(`${innovator.id}: region ${innovator.region}, but ${code} is in ${region}`);
+    }
+  }
+  for (const category of data) {
+    convert(`${category.category} (incumbent)`, 'hq', category.incumbent.hq, c => { category.incumbent.hq = c; });
+  }
+  for (const incumbent of incumbents) {
+    convert(`incumbents > ${incumbent.id}`, 'hq', incumbent.hq, c => { incumbent.hq = c; });
+  }
+
+  console.log(`${changes.length} change(s):`);
+  for (const change of changes) console.log(`  ~ ${change}`);
+
+  if (review.length > 0) {
+    console.log(`\n${review.length} region(s) disagree with their country; left as they are, please review:`);
+    for (const entry of review) console.log(`  ? ${entry}`);
+  }
+
+  if (unmapped.length > 0) {
+    console.log(`\n${unmapped.length} value(s) could not be mapped to a country code:`);
+    for (const entry of unmapped) console.log(`  ! ${entry}`);
+    console.log('\nNothing written; fix these and run again');
+    process.exit(1);
+  }
+
+  if (values['dry-run']) {
+    console.log('\nDry run: nothing written');
+    return;
+  }
+  saveServices(data, { incumbents });
+  writeJsonAtomic(INCUMBENTS_PATH, incumbents);
+  console.log('\nSaved services.json and incumbents.json');
+}
+
+main();
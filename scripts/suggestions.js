@@ -0,0 +1,215 @@
+#!/usr/bin/env node
+
+/**
+ * Review the suggestion intake queue (src/data/suggestions.json)
+ *
+ * Usage:
+ *   node scripts/suggestions.js list [--status pending|accepted|rejected|all]
+ *   node scripts/suggestions.js show <id>
+ *   node scripts/suggestions.js add --name "Tuta" --url https://tuta.com [--category ...]
+ *   node scripts/suggestions.js add --file suggestion.json   (from the site's form; "-" reads stdin)
+ *   node scripts/suggestions.js reject <id> [--reason "..."]
+ *   node scripts/suggestions.js accept <id> [--category ...] [--country ...]
+ *          [--description ...] [--service-id ...] [--replaces gmail,outlook] [--force] [--no-check]
+ *
+ * Accepting adds the service to services.json with an unchecked status and
+ * then runs every checker on just that service, so it only shows up on the
+ * site once its website has answered.
+ */
+
+import { parseArgs } from 'util';
+import { readFileSync } from 'fs';
+import { loadServices, saveServices, listInnovators } from './lib/store.js';
+import { loadHistory, saveHistory } from './lib/history.js';
+import { createInnovator, normalizeDomain } from './lib/merge.js';
+import {
+  loadSuggestions, saveSuggestions, createSuggestion, findDuplicates, SUGGESTION_STATUSES,
+} from './lib/suggestions.js';
+import { toCountryCode, regionOf } from '../src/lib/geography.js';
+import { selectCheckers } from './checkers/index.js';
+import { selectTargets, runChecks } from './lib/pipeline.js';
+
+const USAGE = `Usage: node scripts/suggestions.js <command> [options]
+
+Commands:
+  list                List queued suggestions (--status pending|accepted|rejected|all, default pending)
+  show <id>           Show one suggestion and any services or suggestions it duplicates
+  add                 Queue a suggestion from --name/--url/... or --file <json> ("-" for stdin)
+  reject <id>         Mark a suggestion rejected (--reason "...")
+  accept <id>         Add a suggestion to services.json and check it
+
+Accept options:
+  --category, --country, --description
+                      Fill in or override the suggested values (country as
+                      ISO code or English name; the region follows from it)
+  --service-id <id>   Id for the new service (default: derived from the name)
+  --replaces <ids>    Comma-separated incumbents.json ids it replaces
+  --force             Accept even if the domain or name is already listed
+  --no-check          Don't run the checkers after adding it
+`;
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      status: { type: 'string', default: 'pending' },
+      file: { type: 'string' },
+      name: { type: 'string' },
+      url: { type: 'string' },
+      category: { type: 'string' },
+      country: { type: 'string' },
+      description: { type: 'string' },
+      reason: { type: 'string' },
+      'service-id': { type: 'string' },
+      replaces: { type: 'string' },
+      force: { type: 'boolean', default: false },
+      'no-check': { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+  const [command, id] = positionals;
+  return { command, id, values };
+}
+
+function formatDuplicate(d) {
+  const status = d.status ? `, ${d.status}` : '';
+  return `same ${d.match} as ${d.source === 'dataset' ? 'service' : 'suggestion'} "${d.id}" (${d.name}${status})`;
+}
+
+function findSuggestion(queue, id) {
+  if (!id) throw new Error('Pass the suggestion id');
+  const suggestion = queue.find(s => s.id === id);
+  if (!suggestion) throw new Error(`Unknown suggestion "${id}"`);
+  return suggestion;
+}
+
+function list(queue, data, { status }) {
+  if (status !== 'all' && !SUGGESTION_STATUSES.includes(status)) {
+    throw new Error(`--status must be one of ${SUGGESTION_STATUSES.join(', ')} or all`);
+  }
+  const shown = queue.filter(s => status === 'all' || s.status === status);
+  if (shown.length === 0) {
+    console.log(`No ${status === 'all' ? '' : `${status} `}suggestions`);
+    return;
+  }
+  for (const s of shown) {
+    const listed = s.status === 'pending' && findDuplicates(s, data, queue).some(d => d.source === 'dataset');
+    const duplicate = listed ? '  [already listed]' : '';
+    const date = s.submitted_at.slice(0, 10);
+    console.log(`${s.id.padEnd(28)} ${s.status.padEnd(9)} ${date}  ${s.name} (${normalizeDomain(s.url)}) ${s.category ?? '-'}${duplicate}`);
+  }
+}
+
+function show(suggestion, queue, data) {
+  for (const [key, value] of Object.entries(suggestion)) {
+    console.log(`${key.padEnd(14)} ${value ?? '-'}`);
+  }
+  const duplicates = findDuplicates(suggestion, data, queue);
+  console.log(duplicates.length === 0 ? '\nNo duplicates found' : '\nPossible duplicates:');
+  for (const d of duplicates) console.log(`  ! ${formatDuplicate(d)}`);
+}
+
+function readInput(values) {
+  if (!values.file) return [values];
+  const text = readFileSync(values.file === '-' ? 0 : values.file, 'utf-8');
+  const parsed = JSON.parse(text);
+  return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+function add(queue, data, values) {
+  for (const input of readInput(values)) {
+    const suggestion = createSuggestion(input, queue);
+    queue.push(suggestion);
+    console.log(`Queued "${suggestion.id}" (${suggestion.name})`);
+    for (const d of findDuplicates(suggestion, data, queue)) console.log(`  ! ${formatDuplicate(d)}`);
+  }
+  saveSuggestions(queue);
+}
+
+function reject(queue, suggestion, { reason }) {
+  suggestion.status = 'rejected';
+  suggestion.reviewed_at = new Date().toISOString();
+  suggestion.note = reason ?? suggestion.note;
+  saveSuggestions(queue);
+  console.log(`Rejected "${suggestion.id}"`);
+}
+
+async function accept(queue, suggestion, data, values) {
+  if (suggestion.status !== 'pending') throw new Error(`"${suggestion.id}" is already ${suggestion.status}`);
+
+  const duplicates = findDuplicates(suggestion, data).filter(d => d.source === 'dataset');
+  if (duplicates.length > 0 && !values.force) {
+    throw new Error(`"${suggestion.id}" looks like a listed service:\n  ${duplicates.map(formatDuplicate).join('\n  ')}\nPass --force to accept it anyway`);
+  }
+
+  const categoryName = values.category ?? suggestion.category;
+  const category = data.find(c => c.category === categoryName);
+  if (!category) {
+    throw new Error(`Pass --category with one of: ${data.map(c => c.category).join(', ')}`);
+  }
+  const countryInput = values.country ?? suggestion.country;
+  const country = toCountryCode(countryInput);
+  if (!country) {
+    throw new Error(countryInput ? `Unknown country "${countryInput}"; pass --country with an ISO code` : 'Pass --country');
+  }
+  const description = values.description ?? suggestion.description;
+  if (!description) throw new Error('Pass --description');
+
+  const innovator = createInnovator({
+    id: values['service-id'],
+    name: suggestion.name,
+    region: regionOf(country),
+    country,
+    url: suggestion.url,
+    description,
+    descriptionSource: { origin: 'manual' },
+    replaces: values.replaces?.split(',').map(s => s.trim()).filter(Boolean),
+  });
+  if (listInnovators(data).some(e => e.innovator.id === innovator.id)) {
+    throw new Error(`Service id "${innovator.id}" is taken; pass --service-id`);
+  }
+
+  category.innovators.push(innovator);
+  saveServices(data);
+  suggestion.status = 'accepted';
+  suggestion.reviewed_at = new Date().toISOString();
+  suggestion.innovator_id = innovator.id;
+  saveSuggestions(queue);
+  console.log(`Added "${innovator.id}" to ${category.category} (unchecked, hidden until its website check passes)`);
+
+  if (values['no-check']) return;
+
+  console.log('');
+  const history = loadHistory();
+  const targets = selectTargets(data, { categories: [], ids: [innovator.id] });
+  await runChecks(targets, selectCheckers([]), { history });
+  saveServices(data);
+  saveHistory(history, listInnovators(data).map(e => e.innovator.id));
+  console.log(`\n${innovator.name} is ${innovator.status.is_active ? 'now listed' : 'still hidden (website check did not pass)'}`);
+}
+
+async function main() {
+  const { command, id, values } = parseOptions(process.argv.slice(2));
+  if (values.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  const data = loadServices();
+  const queue = loadSuggestions();
+
+  switch (command) {
+    case 'list': return list(queue, data, values);
+    case 'show': return show(findSuggestion(queue, id), queue, data);
+    case 'add': return add(queue, data, values);
+    case 'reject': return reject(queue, findSuggestion(queue, id), values);
+    case 'accept': return accept(queue, findSuggestion(queue, id), data, values);
+    default: throw new Error(`Unknown command "${command}"\n\n${USAGE}`);
+  }
+}
+
+main().catch(error => {
+  console.error('Suggestions failed:', error.message);
+  process.exit(1);
+});
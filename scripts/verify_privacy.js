@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Runs the privacy checker against the local fixture sites
+ * (scripts/fixtures/privacy_server.js) and compares what it finds with what
+ * the fixtures contain: trackers, cookies set before consent, HSTS,
+ * security.txt and the privacy policy link.
+ *
+ * Nothing leaves the machine and nothing is saved. Exits with status 1 when
+ * a finding differs from the expectation.
+ *
+ * Usage: node scripts/verify_privacy.js
+ */
+
+import privacy from './checkers/privacy.js';
+import { createInnovator } from './lib/merge.js';
+import { startPrivacyFixture } from './fixtures/privacy_server.js';
+
+// What each fixture site must produce; `url` is filled in once the servers are up
+const EXPECTATIONS = {
+  clean: {
+    outcome: 'pass',
+    trackers: [],
+    cookies_before_consent: [],
+    https: false,
+    // Sent, but only honoured over HTTPS
+    hsts: false,
+    hsts_max_age: 31536000,
+    security_txt: true,
+    privacy_policy: '/legal/privacy',
+  },
+  tracked: {
+    outcome: 'fail',
+    trackers: ['connect.facebook.net', 'facebook.com', 'googletagmanager.com', 'hotjar.com'],
+    cookies_before_consent: ['_ga', 'session'],
+    https: false,
+    hsts: false,
+    hsts_max_age: null,
+    security_txt: false,
+    privacy_policy: null,
+  },
+};
+
+// The scan reduced to the fields above, in a stable order
+function observed(result, url) {
+  const scan = result.data ?? {};
+  return {
+    outcome: result.outcome,
+    trackers: [...new Set((scan.trackers ?? []).map(tracker => tracker.domain))].sort(),
+    cookies_before_consent: [...(scan.cookies_before_consent ?? [])].sort(),
+    https: scan.https,
+    hsts: scan.hsts,
+    hsts_max_age: scan.hsts_max_age,
+    security_txt: scan.security_txt,
+    privacy_policy: scan.privacy_policy ? new URL(scan.privacy_policy, url).pathname : null,
+  };
+}
+
+async function main() {
+  const fixture = await startPrivacyFixture();
+  let failures = 0;
+  try {
+    for (const [site, expected] of Object.entries(EXPECTATIONS)) {
+      const url = fixture[site];
+      const innovator = createInnovator({ id: site, name: site, url, description: url });
+      const result = await privacy.run(innovator);
+      if (result.outcome === 'error') {
+        console.log(`FAIL ${site}: scan failed (${result.reason})`);
+        failures++;
+        continue;
+      }
+      const actual = observed(result, url);
+      for (const [field, value] of Object.entries(expected)) {
+        const ok = JSON.stringify(actual[field]) === JSON.stringify(value);
+        if (!ok) failures++;
+        console.log(`${ok ? 'ok  ' : 'FAIL'} ${site} ${field}: ${JSON.stringify(actual[field])}${ok ? '' : ` (expected ${JSON.stringify(value)})`}`);
+      }
+    }
+  } finally {
+    fixture.close();
+  }
+
+  console.log(failures === 0 ? '\nThe privacy checker finds what the fixtures contain' : `\n${failures} finding(s) differ from the fixtures`);
+  if (failures > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error('Error:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,132 @@
+import { Fragment, useMemo } from 'react';
+import { X, Columns3 } from 'lucide-react';
+import {
+  flattenServices, formatDate, servicePath, statusLabel, trustpilotUrl, wikidataUrl,
+  type Category, type ListedInnovator,
+} from '../lib/services';
+import { countryFlag } from '../lib/geography.js';
+import { getStrings, format, formatParts, localePath, categoryLabel, regionLabel, type Strings } from '../lib/i18n';
+import { DEFAULT_LOCALE, type Locale } from '../lib/locales.js';
+import {
+  useUrlState, parseCompareState, serializeCompareState, serializeSearchState, DEFAULT_SEARCH_STATE,
+} from '../lib/urlState';
+
+const EMPTY = { ids: [] as string[] };
+
+interface Row {
+  label: string;
+  value: (inn: ListedInnovator) => React.ReactNode;
+}
+
+const linkClass = 'underline hover:text-teal-600';
+
+function compareRows(t: Strings, locale: Locale): Row[] {
+  const f = t.fields;
+  return [
+    { label: f.country, value: inn => <>{countryFlag(inn.country)} {inn.countryName}</> },
+    { label: f.region, value: inn => regionLabel(t, inn.region) },
+    { label: f.category, value: inn => categoryLabel(t, inn.categoryName) },
+    { label: f.replaces, value: inn => (inn.replacing.length > 0 ? inn.replacing.join(', ') : inn.incumbentName) },
+    { label: f.listed, value: inn => (inn.status.is_active ? f.yes : f.hidden) },
+    { label: f.website, value: inn => statusLabel(inn.trust_data?.website_status, locale) },
+    { label: f.httpStatus, value: inn => inn.status.http_code || '—' },
+    { label: f.availabilityChecked, value: inn => formatDate(inn.status.last_checked, locale) ?? f.never },
+    {
+      label: f.trustpilot,
+      value: inn => {
+        const reviewUrl = trustpilotUrl(inn.url);
+        const text = statusLabel(inn.trust_data?.trustpilot_status, locale);
+        return inn.trust_data?.trustpilot_status === 'verified' && reviewUrl
+          ? <a href={reviewUrl} target="_blank" rel="noopener noreferrer" className={linkClass}>{text}</a>
+          : text;
+      },
+    },
+    {
+      label: f.wikidata,
+      value: inn => {
+        const confidence = inn.trust_data?.wikidata_confidence;
+        return <>{statusLabel(inn.trust_data?.wikidata_status, locale)}{confidence !== undefined && ` (${Math.round(confidence * 100)}%)`}</>;
+      },
+    },
+    {
+      label: f.wikidataId,
+      value: inn => {
+        const id = inn.trust_data?.wikidata_id;
+        return id ? <a href={wikidataUrl(id)} target="_blank" rel="noopener noreferrer" className={linkClass}>{id}</a> : '—';
+      },
+    },
+    { label: f.trustChecked, value: inn => formatDate(inn.trust_data?.last_checked, locale) ?? f.never },
+  ];
+}
+
+export default function CompareView({ data, locale = DEFAULT_LOCALE }: { data: Category[]; locale?: Locale }) {
+  const t = getStrings(locale);
+  const [state, update] = useUrlState(EMPTY, parseCompareState, serializeCompareState);
+
+  const all = useMemo(() => flattenServices(data, { locale }), [data, locale]);
+  const rows = useMemo(() => compareRows(t, locale), [t, locale]);
+  const selected = useMemo(
+    () => state.ids.map(id => all.find(i => i.id === id)).filter(i => i !== undefined),
+    [state.ids, all],
+  );
+  const unknown = state.ids.filter(id => !all.some(i => i.id === id));
+
+  // Back to the search with the same selection, so more can be added
+  const searchHref = `${localePath(locale)}${serializeSearchState({ ...DEFAULT_SEARCH_STATE, compare: selected.map(i => i.id) })}`;
+
+  if (selected.length === 0) {
+    return (
+      <div className="text-center py-16">
+        <Columns3 className="w-16 h-16 mx-auto text-teal-300 mb-4" />
+        <h2 className="text-xl font-semibold text-teal-800 mb-2">{t.compare.empty}</h2>
+        <p className="text-teal-600">
+          {formatParts(t.compare.emptyHint, {
+            compare: <span className="font-medium">{t.search.compare}</span>,
+            search: <a href={localePath(locale)} className={linkClass}>{t.compare.search}</a>,
+          }).map((part, i) => <Fragment key={i}>{part}</Fragment>)}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4 text-sm">
+        <a href={searchHref} className="text-teal-600 hover:text-teal-800">&larr; {t.compare.back}</a>
+        {unknown.length > 0 && (
+          <p className="text-amber-700">{format(t.compare.unknown, { ids: unknown.join(', ') })}</p>
+        )}
+      </div>
+
+      <div className="overflow-x-auto rounded-2xl bg-white/60 backdrop-blur-md border border-white/50">
+        <table className="w-full text-sm text-teal-800">
+          <thead>
+            <tr>
+              <th className="p-4" />
+              {selected.map(inn => (
+                <th key={inn.id} scope="col" className="p-4 text-left align-top min-w-[12rem]">
+                  <div className="flex items-start justify-between gap-2">
+                    <a href={servicePath(inn.id, locale)} className="text-lg font-semibold text-teal-900 hover:text-teal-700">{inn.name}</a>
+                    <button onClick={() => update({ ids: state.ids.filter(id => id !== inn.id) }, { push: true })}
+                      title={format(t.search.remove, { name: inn.name })} className="p-1 -m-1 text-teal-400 hover:text-teal-700">
+                      <X className="w-4 h-4" />
+                    </button>
+                  </div>
+                  <a href={inn.url} target="_blank" rel="noopener noreferrer" className="block font-normal text-xs text-teal-600 break-all hover:underline">{inn.url}</a>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => (
+              <tr key={row.label} className="border-t border-teal-100">
+                <th scope="row" className="p-4 text-left font-normal text-teal-600/80 whitespace-nowrap">{row.label}</th>
+                {selected.map(inn => <td key={inn.id} className="p-4 font-medium">{row.value(inn)}</td>)}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+import { useMemo, useState } from 'react';
+import { SlidersHorizontal, ArrowUpDown } from 'lucide-react';
+import { clsx } from 'clsx';
+import type { ListedInnovator } from '../lib/services';
+import { countryFlag, countryName } from '../lib/geography.js';
+import { facetCounts, trustCounts, SORT_OPTIONS, TRUST_FACETS, type SortKey, type TrustFacet } from '../lib/facets';
+import type { SearchState } from '../lib/urlState';
+import { getStrings, regionLabel } from '../lib/i18n';
+import { DEFAULT_LOCALE, type Locale } from '../lib/locales.js';
+
+interface Props {
+  /** Innovators matching the query and category, before facet filters */
+  items: ListedInnovator[];
+  state: SearchState;
+  update: (patch: Partial<SearchState>, options?: { push?: boolean }) => void;
+  locale?: Locale;
+}
+
+function toggle<T>(values: T[], value: T) {
+  return values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+}
+
+function FacetOption({ label, count, checked, onChange }: { label: React.ReactNode; count: number; checked: boolean; onChange: () => void }) {
+  return (
+    <label className={clsx("flex items-center gap-2 py-0.5 cursor-pointer", count === 0 && !checked && "opacity-40")}>
+      <input type="checkbox" checked={checked} onChange={onChange} className="accent-teal-600" />
+      <span className="flex-1 truncate">{label}</span>
+      <span className="text-xs text-teal-600/70 tabular-nums">{count}</span>
+    </label>
+  );
+}
+
+export default function FacetPanel({ items, state, update, locale = DEFAULT_LOCALE }: Props) {
+  const t = getStrings(locale);
+  const [open, setOpen] = useState(false);
+  const now = Date.now();
+
+  const regionCounts = useMemo(() => facetCounts(items, state, 'regions', now), [items, state]);
+  const countryCounts = useMemo(
+    () => facetCounts(items, state, 'countries', now)
+      .sort((a, b) => countryName(a[0], locale).localeCompare(countryName(b[0], locale), locale)),
+    [items, state, locale],
+  );
+  const trust = useMemo(() => trustCounts(items, state, now), [items, state]);
+  const activeCount = state.regions.length + state.countries.length + state.trust.length;
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center gap-3 text-sm text-teal-800">
+        <button onClick={() => setOpen(!open)} aria-expanded={open}
+          className={clsx("inline-flex items-center gap-2 px-4 py-2 rounded-full border border-white/50 transition-all", open || activeCount ? "bg-white/80 shadow-sm" : "bg-white/60 hover:bg-white/80")}>
+          <SlidersHorizontal className="w-4 h-4" /> {t.facets.filters}{activeCount > 0 && ` (${activeCount})`}
+        </button>
+        {activeCount > 0 && (
+          <button onClick={() => update({ regions: [], countries: [], trust: [] }, { push: true })} className="text-teal-600 hover:text-teal-800 underline">
+            {t.facets.clear}
+          </button>
+        )}
+        <label className="inline-flex items-center gap-2 cursor-pointer">
+          <input type="checkbox" checked={state.includeInactive} onChange={e => update({ includeInactive: e.target.checked }, { push: true })} className="accent-teal-600" />
+          {t.facets.includeUnreachable}
+        </label>
+        <label className="inline-flex items-center gap-2 ml-auto">
+          <ArrowUpDown className="w-4 h-4" />
+          <span className="sr-only">{t.facets.sortBy}</span>
+          <select value={state.sort} onChange={e => update({ sort: e.target.value as SortKey }, { push: true })}
+            className="px-3 py-1.5 rounded-full bg-white/60 border border-white/50 focus:outline-none focus:ring-2 focus:ring-teal-500/50">
+            {SORT_OPTIONS.map(value => <option key={value} value={value}>{t.facets.sort[value]}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {open && (
+        <div className="mt-4 grid grid-cols-1 md:grid-cols-3 gap-6 p-5 rounded-2xl bg-white/60 backdrop-blur-md border border-white/50 text-sm text-teal-800">
+          <fieldset>
+            <legend className="font-semibold text-teal-900 mb-2">{t.facets.region}</legend>
+            {regionCounts.map(([region, count]) => (
+              <FacetOption key={region} label={regionLabel(t, region)} count={count} checked={state.regions.includes(region)}
+                onChange={() => update({ regions: toggle(state.regions, region) }, { push: true })} />
+            ))}
+          </fieldset>
+          <fieldset>
+            <legend className="font-semibold text-teal-900 mb-2">{t.facets.country}</legend>
+            <div className="max-h-56 overflow-y-auto pr-2">
+              {countryCounts.map(([country, count]) => (
+                <FacetOption key={country} label={<>{countryFlag(country)} {countryName(country, locale)}</>} count={count} checked={state.countries.includes(country)}
+                  onChange={() => update({ countries: toggle(state.countries, country) }, { push: true })} />
+              ))}
+            </div>
+          </fieldset>
+          <fieldset>
+            <legend className="font-semibold text-teal-900 mb-2">{t.facets.trustSignals}</legend>
+            {TRUST_FACETS.map(value => (
+              <FacetOption key={value} label={t.facets.trust[value]} count={trust[value]} checked={state.trust.includes(value)}
+                onChange={() => update({ trust: toggle<TrustFacet>(state.trust, value) }, { push: true })} />
+            ))}
+          </fieldset>
+        </div>
+      )}
+    </div>
+  );
+}
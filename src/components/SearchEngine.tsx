@@ -1,37 +1,25 @@
-import { useState, useMemo, useEffect } from 'react';
+import { Fragment, useState, useMemo, useEffect } from 'react';
 import Fuse from 'fuse.js';
-import { format } from 'date-fns';
 import {
   Search, CheckCircle2, ExternalLink, Globe, MessageCircle, Briefcase,
-  CarFront, Server, Play, Star, X, Database, ShoppingCart
+  CarFront, Server, Play, Star, X, Database, ShoppingCart, AlertTriangle, Columns3,
+  ShieldCheck, ShieldAlert, Lock, Cookie, Gauge, Building2
 } from 'lucide-react';
 import { clsx } from 'clsx';
 import { twMerge } from 'tailwind-merge';
-
-interface TrustData {
-  website_status?: string;
-  trustpilot_status?: string;
-  wikidata_status?: string;
-  wikidata_id?: string;
-  last_checked?: string;
-}
-
-interface Innovator {
-  id: string;
-  name: string;
-  region: string;
-  country: string;
-  url: string;
-  description: string;
-  status: { is_active: boolean; last_checked: string | null; http_code: number };
-  trust_data?: TrustData;
-}
-
-interface Category {
-  category: string;
-  incumbent: { name: string; hq: string };
-  innovators: Innovator[];
-}
+import { flattenServices, formatDate, servicePath, type Category, type ListedInnovator, type PrivacyScan } from '../lib/services';
+import { countryFlag, countryName } from '../lib/geography.js';
+import {
+  useUrlState, parseSearchState, serializeSearchState, comparePath, DEFAULT_SEARCH_STATE, MAX_COMPARE
+} from '../lib/urlState';
+import { applyFacets, sortInnovators } from '../lib/facets';
+import { trustScores, type TrustScore } from '../lib/trustScore';
+import { matchIncumbent, stripReplacePrefix, incumbents } from '../lib/incumbents';
+import { incumbentsOf, ownershipFlag, type OwnershipFlag } from '../lib/ownership.js';
+import { getStrings, format, formatParts, categoryLabel, type Strings } from '../lib/i18n';
+import { DEFAULT_LOCALE, type Locale } from '../lib/locales.js';
+import FacetPanel from './FacetPanel';
+import SuggestModal from './SuggestModal';
 
 const iconMap: Record<string, React.ElementType> = {
   'Communication': MessageCircle,
@@ -44,47 +32,57 @@ const iconMap: Record<string, React.ElementType> = {
   'E-Commerce': ShoppingCart,
 };
 
-const brandAliases: Record<string, string[]> = {
-  'Electric Vehicles': ['tesla', 'ev', 'electric car', 'tata', 'ola'],
-  'Cloud Infrastructure': ['aws', 'amazon web services', 'azure', 'gcp'],
-  'Entertainment': ['netflix', 'youtube', 'streaming', 'hotstar'],
-  'Communication': ['gmail', 'whatsapp', 'messenger', 'line', 'viber'],
-  'Productivity & Tools': ['google drive', 'dropbox', 'microsoft', 'zoho', 'canva'],
-  'Social': ['facebook', 'twitter', 'instagram', 'mastodon', 'bluesky'],
-  'Information & Browsers': ['google', 'chrome', 'bing'],
-  'E-Commerce': ['amazon', 'ebay', 'flipkart', 'rakuten', 'mercado'],
-};
+function cn(...inputs: (string | undefined | null | false)[]) {
+  return twMerge(clsx(inputs));
+}
 
-function getCountryFlag(country: string): string {
-  const flagMap: Record<string, string> = {
-    'Germany': '🇩🇪', 'France': '🇫🇷', 'United Kingdom': '🇬🇧', 'Switzerland': '🇨🇭',
-    'Netherlands': '🇳🇱', 'Sweden': '🇸🇪', 'Norway': '🇳🇴', 'Finland': '🇫🇮',
-    'Denmark': '🇩🇰', 'Austria': '🇦🇹', 'Belgium': '🇧🇪', 'Spain': '🇪🇸',
-    'Italy': '🇮🇹', 'Poland': '🇵🇱', 'Czech Republic': '🇨🇿', 'Ireland': '🇮🇪',
-    'Portugal': '🇵🇹', 'Estonia': '🇪🇪', 'Latvia': '🇱🇻', 'Lithuania': '🇱🇹',
-    'Luxembourg': '🇱🇺', 'Iceland': '🇮🇸', 'Romania': '🇷🇴', 'Bulgaria': '🇧🇬',
-    'Hungary': '🇭🇺', 'Slovakia': '🇸🇰', 'Slovenia': '🇸🇮', 'Croatia': '🇭🇷',
-    'Greece': '🇬🇷', 'Malta': '🇲🇹', 'Cyprus': '🇨🇾', 'Ukraine': '🇺🇦',
-    'Japan': '🇯🇵', 'South Korea': '🇰🇷', 'India': '🇮🇳', 'Singapore': '🇸🇬',
-    'Taiwan': '🇹🇼', 'Thailand': '🇹🇭', 'Vietnam': '🇻🇳', 'Indonesia': '🇮🇩',
-    'Malaysia': '🇲🇾', 'Philippines': '🇵🇭', 'Israel': '🇮🇱',
-    'Australia': '🇦🇺', 'New Zealand': '🇳🇿', 'Canada': '🇨🇦', 'Mexico': '🇲🇽',
-    'Brazil': '🇧🇷', 'Argentina': '🇦🇷', 'Chile': '🇨🇱', 'Colombia': '🇨🇴',
-    'South Africa': '🇿🇦', 'Nigeria': '🇳🇬', 'Kenya': '🇰🇪', 'Egypt': '🇪🇬',
-    'USA': '🇺🇸',
-  };
-  return flagMap[country] || '🌍';
+// Tooltip for the trust score: one line per signal, unknown ones included
+function trustTitle(t: Strings, { score, signals }: TrustScore) {
+  const lines = signals.map(s => {
+    const label = t.score.signals[s.signal];
+    if (s.state === 'unchecked') return format(t.score.unchecked, { label });
+    if (s.state === 'stale') return format(t.score.stale, { label, days: s.ageDays ?? 0 });
+    return format(t.score.signal, {
+      label, value: Math.round((s.value ?? 0) * 100), share: Math.round(s.share * 100), days: s.ageDays ?? 0,
+    });
+  });
+  return [score === null ? t.score.unknown : format(t.score.label, { score }), ...lines].join('\n');
 }
 
-function cn(...inputs: (string | undefined | null | false)[]) {
-  return twMerge(clsx(inputs));
+// Badge text for a service owned by an incumbent company or from an incumbent's country
+function ownershipText(t: Strings, flag: OwnershipFlag, locale: Locale) {
+  return flag.kind === 'company'
+    ? format(t.search.ownedBy, { name: flag.org.name })
+    : format(t.search.ownedFrom, { country: countryName(flag.country, locale) });
 }
 
-export default function SearchEngine({ data }: { data: Category[] }) {
-  const [query, setQuery] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState<string | null>(null);
+// Tooltip for the privacy badge: who tracks, plus the other homepage findings
+function privacyTitle(t: Strings, privacy: PrivacyScan | undefined) {
+  if (!privacy) return undefined;
+  const companies = [...new Set(privacy.trackers.map(tracker => tracker.company))];
+  return [
+    companies.length > 0 ? companies.join(', ') : null,
+    privacy.security_txt ? t.search.securityTxt : null,
+    privacy.privacy_policy ? t.search.privacyPolicy : null,
+  ].filter(Boolean).join(' · ');
+}
+
+export default function SearchEngine({ data, locale = DEFAULT_LOCALE, scoredAt }: {
+  data: Category[];
+  locale?: Locale;
+  /** Reference time of the trust scores, from trustReferenceTime() */
+  scoredAt: number;
+}) {
+  const t = getStrings(locale);
+  const [searchState, updateSearch] = useUrlState(DEFAULT_SEARCH_STATE, parseSearchState, serializeSearchState);
+  const { query, category: selectedCategory } = searchState;
+  const setQuery = (q: string) => updateSearch({ query: q });
+  const setSelectedCategory = (category: string | null) => updateSearch({ category }, { push: true });
+  const { compare } = searchState;
+  const toggleCompare = (id: string) => updateSearch({
+    compare: compare.includes(id) ? compare.filter(c => c !== id) : [...compare, id].slice(0, MAX_COMPARE),
+  });
   const [showSuggestModal, setShowSuggestModal] = useState(false);
-  const [suggestion, setSuggestion] = useState({ name: '', url: '', category: '', description: '' });
 
   useEffect(() => {
     const handler = () => setShowSuggestModal(true);
@@ -92,184 +90,216 @@ export default function SearchEngine({ data }: { data: Category[] }) {
     return () => document.removeEventListener('open-suggest-modal', handler);
   }, []);
 
-  const activeInnovators = useMemo(() => {
-    const all: (Innovator & { categoryName: string; incumbentName: string })[] = [];
-    for (const cat of data) {
-      for (const inn of cat.innovators) {
-        if (inn.status.is_active) {
-          all.push({ ...inn, categoryName: cat.category, incumbentName: cat.incumbent.name });
-        }
-      }
-    }
-    return all;
-  }, [data]);
+  const allInnovators = useMemo(() => flattenServices(data, { locale }), [data, locale]);
+  const activeInnovators = useMemo(() => allInnovators.filter(i => i.status.is_active), [allInnovators]);
+  const listedInnovators = searchState.includeInactive ? allInnovators : activeInnovators;
 
-  const categories = useMemo(() => Array.from(new Set(activeInnovators.map(i => i.categoryName))).sort(), [activeInnovators]);
+  const categories = useMemo(() => Array.from(new Set(listedInnovators.map(i => i.categoryName))).sort(), [listedInnovators]);
 
-  const fuse = useMemo(() => new Fuse(activeInnovators, {
-    keys: ['name', 'country', 'region', 'description', 'categoryName', 'incumbentName'],
+  const fuse = useMemo(() => new Fuse(listedInnovators, {
+    keys: ['name', 'countryName', 'region', 'description', 'categoryName', 'replacing'],
     threshold: 0.4,
-  }), [activeInnovators]);
+  }), [listedInnovators]);
+
+  const matchedIncumbent = useMemo(() => matchIncumbent(query), [query]);
 
-  const matchedCategoryFromBrand = useMemo(() => {
-    const q = query.toLowerCase().trim();
-    if (!q) return null;
-    for (const [cat, aliases] of Object.entries(brandAliases)) {
-      if (aliases.some(a => q.includes(a) || a.includes(q))) return cat;
-    }
-    return null;
-  }, [query]);
+  // Query and category narrow the pool; the facet panel counts within it.
+  // With a query the text matches come in Fuse's ranking ("Relevance")
+  const matches = useMemo(() => {
+    const inCategory = (i: ListedInnovator) => !selectedCategory || i.categoryName === selectedCategory;
+    if (!query.trim()) return listedInnovators.filter(inCategory);
+    // Services listed as replacing the matched incumbent are added after the
+    // text matches, not swapped in for them
+    const ranked = fuse.search(stripReplacePrefix(query) || query).map(r => r.item);
+    const ids = new Set(ranked.map(i => i.id));
+    const linked = matchedIncumbent
+      ? listedInnovators.filter(i => !ids.has(i.id) && i.replaces?.includes(matchedIncumbent.id))
+      : [];
+    return [...ranked, ...linked].filter(inCategory);
+  }, [query, selectedCategory, listedInnovators, fuse, matchedIncumbent]);
 
-  const results = useMemo(() => {
-    let filtered = activeInnovators;
-    if (selectedCategory) filtered = filtered.filter(i => i.categoryName === selectedCategory);
-    if (query.trim()) {
-      if (matchedCategoryFromBrand && !selectedCategory) {
-        filtered = activeInnovators.filter(i => i.categoryName === matchedCategoryFromBrand);
-      } else {
-        const ids = new Set(fuse.search(query).map(r => r.item.id));
-        filtered = filtered.filter(i => ids.has(i.id));
-      }
-    }
-    return filtered;
-  }, [query, selectedCategory, activeInnovators, fuse, matchedCategoryFromBrand]);
+  const scores = useMemo(() => trustScores(allInnovators, scoredAt), [allInnovators, scoredAt]);
+
+  // Services whose Wikidata ownership chain leads back to an incumbent
+  const ownershipFlags = useMemo(() => new Map(allInnovators.flatMap(inn => {
+    const category = data.find(c => c.category === inn.categoryName);
+    const flag = category && ownershipFlag(inn, incumbentsOf(category, inn, incumbents));
+    return flag ? [[inn.id, flag] as const] : [];
+  })), [allInnovators, data]);
+
+  const results = useMemo(
+    () => sortInnovators(applyFacets(matches, searchState), searchState.sort, scoredAt),
+    [matches, searchState, scoredAt],
+  );
+
+  const compared = useMemo(
+    () => compare.map(id => allInnovators.find(i => i.id === id)).filter(i => i !== undefined),
+    [compare, allInnovators],
+  );
 
   const getCategoryIcon = (cat: string) => {
     const Icon = iconMap[cat] || Globe;
     return <Icon className="w-3 h-3" />;
   };
 
-  const formatDate = (d: string | null | undefined) => {
-    if (!d) return null;
-    try { return format(new Date(d), 'MMM d, yyyy'); } catch { return null; }
-  };
-
-  const handleSubmit = (e: React.FormEvent) => {
-    e.preventDefault();
-    const subject = encodeURIComponent(`[Suggestion] ${suggestion.name}`);
-    const body = encodeURIComponent(`Name: ${suggestion.name}\nURL: ${suggestion.url}\nCategory: ${suggestion.category}\nDescription: ${suggestion.description}`);
-    window.open(`mailto:suggest@globalbalance.org?subject=${subject}&body=${body}`, '_blank');
-    setShowSuggestModal(false);
-    setSuggestion({ name: '', url: '', category: '', description: '' });
-  };
-
   return (
     <div className="w-full max-w-6xl mx-auto px-4">
       <div className="relative mb-2">
         <Search className="absolute left-4 top-1/2 -translate-y-1/2 text-teal-600 w-5 h-5" />
         <input
           type="text"
-          placeholder="Search by service, country, or brand (Tesla, Netflix, AWS...)"
+          placeholder={t.search.placeholder}
           value={query}
           onChange={(e) => setQuery(e.target.value)}
           className={cn("w-full pl-12 pr-4 py-4 rounded-2xl bg-white/60 backdrop-blur-md border border-white/50 text-teal-900 placeholder:text-teal-600/60 focus:outline-none focus:ring-2 focus:ring-teal-500/50 shadow-lg text-lg")}
         />
       </div>
 
-      {matchedCategoryFromBrand && !selectedCategory && query && (
+      {matchedIncumbent && (
         <p className="text-center text-sm text-teal-600 mb-4">
-          Showing alternatives to <span className="font-semibold">{query}</span> in {matchedCategoryFromBrand}
+          {formatParts(t.search.alternativesTo, {
+            name: <span className="font-semibold">{matchedIncumbent.name}</span>,
+            details: `${matchedIncumbent.owner ? `${matchedIncumbent.owner}, ` : ''}${countryName(matchedIncumbent.hq, locale)}`,
+          }).map((part, i) => <Fragment key={i}>{part}</Fragment>)}
         </p>
       )}
 
       <div className="flex flex-wrap gap-2 justify-center mb-8">
         <button onClick={() => setSelectedCategory(null)} className={cn("px-4 py-2 rounded-full text-sm font-medium transition-all", selectedCategory === null ? "bg-teal-700 text-white shadow-md" : "bg-white/60 text-teal-800 hover:bg-white/80 border border-white/50")}>
-          All ({activeInnovators.length})
+          {format(t.search.all, { count: listedInnovators.length })}
         </button>
         {categories.map(cat => (
           <button key={cat} onClick={() => setSelectedCategory(cat)} className={cn("px-4 py-2 rounded-full text-sm font-medium transition-all", selectedCategory === cat ? "bg-teal-700 text-white shadow-md" : "bg-white/60 text-teal-800 hover:bg-white/80 border border-white/50")}>
-            {cat} ({activeInnovators.filter(i => i.categoryName === cat).length})
+            {categoryLabel(t, cat)} ({listedInnovators.filter(i => i.categoryName === cat).length})
           </button>
         ))}
       </div>
 
+      <FacetPanel items={matches} state={searchState} update={updateSearch} locale={locale} />
+
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         {results.map(inn => (
-          <a key={inn.id} href={inn.url} target="_blank" rel="noopener noreferrer"
-            className={cn("group block p-6 rounded-2xl bg-white/60 backdrop-blur-md border border-white/50 hover:bg-white/80 hover:shadow-xl transition-all duration-300 hover:-translate-y-1")}>
+          <article key={inn.id}
+            className={cn("group relative block p-6 rounded-2xl bg-white/60 backdrop-blur-md border border-white/50 hover:bg-white/80 hover:shadow-xl transition-all duration-300 hover:-translate-y-1", !inn.status.is_active && "opacity-60")}>
             <div className="flex items-start justify-between mb-3">
               <div className="flex items-center gap-2">
-                <span className="text-2xl">{getCountryFlag(inn.country)}</span>
+                <span className="text-2xl">{countryFlag(inn.country)}</span>
                 <div>
-                  <h3 className="font-semibold text-teal-900 group-hover:text-teal-700">{inn.name}</h3>
-                  <p className="text-sm text-teal-600">{inn.country}</p>
+                  <h3 className="font-semibold text-teal-900 group-hover:text-teal-700">
+                    {/* Stretched link: the whole card opens the detail page */}
+                    <a href={servicePath(inn.id, locale)} className="after:absolute after:inset-0 after:rounded-2xl">{inn.name}</a>
+                  </h3>
+                  <p className="text-sm text-teal-600">{inn.countryName}</p>
                 </div>
               </div>
-              <ExternalLink className="w-4 h-4 text-teal-400 group-hover:text-teal-600" />
+              <a href={inn.url} target="_blank" rel="noopener noreferrer" title={format(t.search.visit, { name: inn.name })}
+                className="relative z-10 p-1 -m-1 text-teal-400 hover:text-teal-600">
+                <ExternalLink className="w-4 h-4" />
+              </a>
             </div>
             <p className="text-teal-800/80 text-sm mb-4 line-clamp-2">{inn.description}</p>
             <div className="flex items-center gap-2 mb-3">
               <span className="inline-flex items-center gap-1 px-2 py-1 rounded-full bg-teal-100/80 text-teal-700 text-xs font-medium">
-                {getCategoryIcon(inn.categoryName)} {inn.categoryName}
+                {getCategoryIcon(inn.categoryName)} {categoryLabel(t, inn.categoryName)}
               </span>
+              {scores.has(inn.id) && (
+                <span title={trustTitle(t, scores.get(inn.id)!)}
+                  className={cn("relative z-10 ml-auto inline-flex items-center gap-1 text-xs font-medium cursor-help",
+                    scores.get(inn.id)!.score === null ? "text-gray-400" : "text-teal-700")}>
+                  <Gauge className="w-3.5 h-3.5" />
+                  {scores.get(inn.id)!.score === null ? t.score.unknownShort : format(t.score.label, { score: scores.get(inn.id)!.score! })}
+                </span>
+              )}
             </div>
             <div className="flex flex-wrap items-center gap-2 text-xs">
+              {!inn.status.is_active && (
+                <span className="flex items-center gap-1 text-amber-600"><AlertTriangle className="w-3.5 h-3.5" /> {t.search.unreachable}</span>
+              )}
+              {ownershipFlags.has(inn.id) && (
+                <span className="flex items-center gap-1 text-red-600"
+                  title={inn.ownership?.chain.map(org => org.name).join(' → ')}>
+                  <Building2 className="w-3.5 h-3.5" /> {ownershipText(t, ownershipFlags.get(inn.id)!, locale)}
+                </span>
+              )}
               {inn.trust_data?.website_status === 'active' && (
-                <span className="flex items-center gap-1 text-emerald-600"><CheckCircle2 className="w-3.5 h-3.5" /> Active</span>
+                <span className="flex items-center gap-1 text-emerald-600"><CheckCircle2 className="w-3.5 h-3.5" /> {t.search.active}</span>
               )}
               {inn.trust_data?.trustpilot_status === 'verified' && (
-                <span className="flex items-center gap-1 text-green-600"><Star className="w-3.5 h-3.5 fill-green-500" /> Trustpilot</span>
+                <span className="flex items-center gap-1 text-green-600"><Star className="w-3.5 h-3.5 fill-green-500" /> {t.search.trustpilot}</span>
               )}
               {inn.trust_data?.wikidata_status === 'verified' && (
-                <span className="flex items-center gap-1 text-blue-600"><Database className="w-3.5 h-3.5" /> Wikidata</span>
+                <span className="flex items-center gap-1 text-blue-600"><Database className="w-3.5 h-3.5" /> {t.search.wikidata}</span>
+              )}
+              {inn.trust_data?.privacy_status === 'no_trackers' && (
+                <span className="flex items-center gap-1 text-emerald-600" title={privacyTitle(t, inn.trust_data.privacy)}>
+                  <ShieldCheck className="w-3.5 h-3.5" /> {t.search.noTrackers}
+                </span>
+              )}
+              {inn.trust_data?.privacy_status === 'trackers' && (
+                <span className="flex items-center gap-1 text-amber-600" title={privacyTitle(t, inn.trust_data.privacy)}>
+                  <ShieldAlert className="w-3.5 h-3.5" /> {format(t.search.trackers, { count: inn.trust_data.privacy?.trackers.length ?? 0 })}
+                </span>
+              )}
+              {inn.trust_data?.privacy?.hsts && (
+                <span className="flex items-center gap-1 text-emerald-600"><Lock className="w-3.5 h-3.5" /> {t.search.hsts}</span>
+              )}
+              {(inn.trust_data?.privacy?.cookies_before_consent.length ?? 0) > 0 && (
+                <span className="flex items-center gap-1 text-amber-600" title={inn.trust_data?.privacy?.cookies_before_consent.join(', ')}>
+                  <Cookie className="w-3.5 h-3.5" /> {format(t.search.cookies, { count: inn.trust_data?.privacy?.cookies_before_consent.length ?? 0 })}
+                </span>
               )}
               {inn.trust_data?.last_checked && (
-                <span className="text-gray-400 ml-auto">Checked: {formatDate(inn.trust_data.last_checked)}</span>
+                <span className="text-gray-400 ml-auto">{format(t.search.checked, { date: formatDate(inn.trust_data.last_checked, locale) ?? '' })}</span>
               )}
             </div>
-          </a>
+            <label className={cn("relative z-10 mt-3 inline-flex items-center gap-1.5 text-xs text-teal-700 cursor-pointer", !compare.includes(inn.id) && compare.length >= MAX_COMPARE && "opacity-40 cursor-not-allowed")}>
+              <input type="checkbox" checked={compare.includes(inn.id)} onChange={() => toggleCompare(inn.id)}
+                disabled={!compare.includes(inn.id) && compare.length >= MAX_COMPARE} className="accent-teal-600" />
+              {t.search.compare}
+            </label>
+          </article>
         ))}
       </div>
 
       {results.length === 0 && (
         <div className="text-center py-16">
           <Globe className="w-16 h-16 mx-auto text-teal-300 mb-4" />
-          <h3 className="text-xl font-semibold text-teal-800 mb-2">No results found</h3>
-          <p className="text-teal-600">Try a different search term or category</p>
+          <h3 className="text-xl font-semibold text-teal-800 mb-2">{t.search.noResults}</h3>
+          <p className="text-teal-600">{t.search.noResultsHint}</p>
         </div>
       )}
 
       <div className="mt-12 text-center text-sm text-teal-600/70">
-        Showing {results.length} of {activeInnovators.length} verified alternatives
+        {format(searchState.includeInactive ? t.search.showingListed : t.search.showingVerified, {
+          shown: results.length,
+          total: listedInnovators.length,
+        })}
       </div>
 
-      {showSuggestModal && (
-        <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
-          <div className="bg-white rounded-2xl p-6 max-w-md w-full shadow-xl">
-            <div className="flex justify-between items-center mb-4">
-              <h2 className="text-xl font-semibold text-teal-900">Suggest a Service</h2>
-              <button onClick={() => setShowSuggestModal(false)} className="text-teal-500 hover:text-teal-700"><X className="w-5 h-5" /></button>
-            </div>
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-teal-700 mb-1">Service Name *</label>
-                <input type="text" required value={suggestion.name} onChange={e => setSuggestion({ ...suggestion, name: e.target.value })}
-                  className="w-full px-3 py-2 border border-teal-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500" />
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-teal-700 mb-1">URL *</label>
-                <input type="url" required value={suggestion.url} onChange={e => setSuggestion({ ...suggestion, url: e.target.value })}
-                  className="w-full px-3 py-2 border border-teal-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500" />
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-teal-700 mb-1">Category</label>
-                <select value={suggestion.category} onChange={e => setSuggestion({ ...suggestion, category: e.target.value })}
-                  className="w-full px-3 py-2 border border-teal-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500">
-                  <option value="">Select</option>
-                  {categories.map(c => <option key={c} value={c}>{c}</option>)}
-                  <option value="Other">Other</option>
-                </select>
-              </div>
-              <div>
-                <label className="block text-sm font-medium text-teal-700 mb-1">Description</label>
-                <textarea value={suggestion.description} onChange={e => setSuggestion({ ...suggestion, description: e.target.value })}
-                  className="w-full px-3 py-2 border border-teal-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500" rows={2} />
-              </div>
-              <button type="submit" className="w-full bg-teal-600 text-white py-2 rounded-lg hover:bg-teal-700 font-medium">Submit</button>
-            </form>
-          </div>
+      {compared.length > 0 && (
+        <div className="fixed bottom-4 inset-x-4 z-40 mx-auto max-w-3xl flex flex-wrap items-center gap-2 p-3 rounded-2xl bg-white/90 backdrop-blur-md border border-teal-100 shadow-xl text-sm">
+          {compared.map(inn => (
+            <span key={inn.id} className="inline-flex items-center gap-1 pl-3 pr-1 py-1 rounded-full bg-teal-100/80 text-teal-800">
+              {countryFlag(inn.country)} {inn.name}
+              <button onClick={() => toggleCompare(inn.id)} title={format(t.search.remove, { name: inn.name })} className="p-0.5 text-teal-500 hover:text-teal-800">
+                <X className="w-3.5 h-3.5" />
+              </button>
+            </span>
+          ))}
+          <button onClick={() => updateSearch({ compare: [] })} className="text-teal-600 hover:text-teal-800 underline ml-1">{t.search.clear}</button>
+          {compared.length >= 2 ? (
+            <a href={comparePath(compared.map(inn => inn.id), locale)} className="ml-auto inline-flex items-center gap-2 px-4 py-2 rounded-full bg-teal-700 text-white font-medium hover:bg-teal-600">
+              <Columns3 className="w-4 h-4" /> {format(t.search.compareCount, { count: compared.length })}
+            </a>
+          ) : (
+            <span className="ml-auto text-teal-600/80">{t.search.selectMore}</span>
+          )}
         </div>
       )}
+
+      {showSuggestModal && (
+        <SuggestModal innovators={allInnovators} categories={categories} locale={locale} onClose={() => setShowSuggestModal(false)} />
+      )}
     </div>
   );
 }
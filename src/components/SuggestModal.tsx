@@ -0,0 +1,118 @@
+import { useMemo, useState } from 'react';
+import { X, AlertTriangle, Download, Mail } from 'lucide-react';
+import { servicePath, type ListedInnovator } from '../lib/services';
+import { findExisting, type SuggestionInput } from '../lib/suggestions';
+import { getStrings, categoryLabel } from '../lib/i18n';
+import { DEFAULT_LOCALE, type Locale } from '../lib/locales.js';
+
+const SUGGEST_EMAIL = 'suggest@globalbalance.org';
+const EMPTY_FORM = { name: '', url: '', category: '', country: '', description: '' };
+
+interface Props {
+  /** Every listed service, active or not, for the duplicate warning */
+  innovators: ListedInnovator[];
+  categories: string[];
+  locale?: Locale;
+  onClose: () => void;
+}
+
+const inputClass = 'w-full px-3 py-2 border border-teal-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-teal-500';
+
+export default function SuggestModal({ innovators, categories, locale = DEFAULT_LOCALE, onClose }: Props) {
+  const t = getStrings(locale);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [submitted, setSubmitted] = useState<SuggestionInput | null>(null);
+
+  const existing = useMemo(
+    () => (form.name.trim() || form.url.trim() ? findExisting(innovators, form) : []),
+    [innovators, form],
+  );
+
+  const handleSubmit = (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitted({ ...form, submitted_at: new Date().toISOString() });
+  };
+
+  const json = submitted ? JSON.stringify(submitted, null, 2) : '';
+
+  const download = () => {
+    const href = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = `suggestion-${submitted!.name.toLowerCase().replace(/[^a-z0-9]+/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(href);
+  };
+
+  const mailto = () => {
+    const subject = encodeURIComponent(`[Suggestion] ${submitted!.name}`);
+    window.open(`mailto:${SUGGEST_EMAIL}?subject=${subject}&body=${encodeURIComponent(json)}`, '_blank');
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl p-6 max-w-md w-full shadow-xl">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-xl font-semibold text-teal-900">{t.suggest.title}</h2>
+          <button onClick={onClose} className="text-teal-500 hover:text-teal-700"><X className="w-5 h-5" /></button>
+        </div>
+
+        {submitted ? (
+          <div className="space-y-4 text-sm text-teal-800">
+            <p>{t.suggest.thanks}</p>
+            <pre className="p-3 rounded-lg bg-teal-50 text-xs overflow-x-auto">{json}</pre>
+            <div className="flex gap-2">
+              <button onClick={mailto} className="flex-1 inline-flex items-center justify-center gap-2 bg-teal-600 text-white py-2 rounded-lg hover:bg-teal-700 font-medium">
+                <Mail className="w-4 h-4" /> {t.suggest.email}
+              </button>
+              <button onClick={download} className="flex-1 inline-flex items-center justify-center gap-2 border border-teal-300 text-teal-700 py-2 rounded-lg hover:bg-teal-50 font-medium">
+                <Download className="w-4 h-4" /> {t.suggest.download}
+              </button>
+            </div>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-teal-700 mb-1">{t.suggest.name}</label>
+              <input type="text" required value={form.name} onChange={e => setForm({ ...form, name: e.target.value })} className={inputClass} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-teal-700 mb-1">{t.suggest.url}</label>
+              <input type="url" required value={form.url} onChange={e => setForm({ ...form, url: e.target.value })} className={inputClass} />
+            </div>
+            {existing.length > 0 && (
+              <div className="flex gap-2 p-3 rounded-lg bg-amber-50 text-amber-800 text-sm">
+                <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0" />
+                <p>
+                  {t.suggest.alreadyListed}{' '}
+                  {existing.map((inn, i) => (
+                    <span key={inn.id}>{i > 0 && ', '}<a href={servicePath(inn.id, locale)} className="underline">{inn.name}</a></span>
+                  ))}
+                </p>
+              </div>
+            )}
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="block text-sm font-medium text-teal-700 mb-1">{t.suggest.category}</label>
+                <select value={form.category} onChange={e => setForm({ ...form, category: e.target.value })} className={inputClass}>
+                  <option value="">{t.suggest.select}</option>
+                  {categories.map(c => <option key={c} value={c}>{categoryLabel(t, c)}</option>)}
+                  <option value="Other">{t.suggest.other}</option>
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-teal-700 mb-1">{t.suggest.country}</label>
+                <input type="text" value={form.country} onChange={e => setForm({ ...form, country: e.target.value })} className={inputClass} />
+              </div>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-teal-700 mb-1">{t.suggest.description}</label>
+              <textarea value={form.description} onChange={e => setForm({ ...form, description: e.target.value })} className={inputClass} rows={2} />
+            </div>
+            <button type="submit" className="w-full bg-teal-600 text-white py-2 rounded-lg hover:bg-teal-700 font-medium">{t.suggest.submit}</button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,274 @@
+import type { Strings } from './en';
+
+/** German UI strings */
+const de: Strings = {
+  nav: {
+    browse: 'Stöbern',
+    suggest: '+ Dienst vorschlagen',
+    changes: 'Änderungen',
+    language: 'Sprache',
+  },
+  home: {
+    title: 'Global Balance - Datenschutzfreundliche Alternativen aus aller Welt',
+    description: 'Entdecke datenschutzfreundliche Alternativen aus allen Teilen der Welt. Eine globale Friedensinitiative für ein ausgewogenes digitales Ökosystem.',
+    heading: 'Globale digitale Balance',
+    tagline: 'Eine globale Friedensinitiative für digitale Vielfalt.',
+    subtitle: 'Entdecke datenschutzfreundliche Alternativen aus allen Teilen der Welt.',
+  },
+  footer: {
+    sourcesHeading: 'Datenquellen',
+    sources: [
+      'Dienstdaten aus öffentlichen Quellen zusammengestellt',
+      'Trustpilot zur Überprüfung von Unternehmen',
+      'HTTP-Prüfungen der Erreichbarkeit',
+      'Vorschläge und Rückmeldungen aus der Community',
+    ],
+    dataset: 'Datensatz herunterladen (JSON, CSV)',
+    aboutHeading: 'Über uns',
+    about: 'Global Balance hilft dir, datenschutzfreundliche Alternativen zu den großen Tech-Plattformen aus aller Welt zu finden. Wir setzen uns für ein ausgewogeneres digitales Ökosystem ein.',
+    disclaimerHeading: 'Haftungsausschluss',
+    disclaimer: 'Diese Seite dient nur zur Information. Wir empfehlen oder garantieren keinen der aufgeführten Dienste. Angaben können ungenau oder veraltet sein. Prüfe jeden Dienst, bevor du ihn nutzt. Wir haften nicht für Probleme, die aus der Nutzung aufgeführter Dienste entstehen.',
+    builtWith: 'Erstellt mit {link}',
+  },
+  search: {
+    placeholder: 'Suche nach Dienst, Land oder dem, was er ersetzt (Gmail, Netflix, AWS...)',
+    alternativesTo: 'Alternativen zu {name} ({details})',
+    all: 'Alle ({count})',
+    visit: '{name} besuchen',
+    unreachable: 'Derzeit nicht erreichbar',
+    active: 'Aktiv',
+    trustpilot: 'Trustpilot',
+    wikidata: 'Wikidata',
+    checked: 'Geprüft: {date}',
+    compare: 'Vergleichen',
+    noResults: 'Keine Ergebnisse',
+    noResultsHint: 'Versuche einen anderen Suchbegriff, eine andere Kategorie oder einen anderen Filter',
+    showingVerified: '{shown} von {total} geprüften Alternativen',
+    showingListed: '{shown} von {total} gelisteten Alternativen',
+    remove: '{name} entfernen',
+    clear: 'Leeren',
+    compareCount: '{count} vergleichen',
+    selectMore: 'Wähle mindestens einen weiteren Dienst zum Vergleichen',
+    noTrackers: 'Keine Tracker',
+    trackers: '{count} Tracker',
+    hsts: 'HTTPS + HSTS',
+    cookies: '{count} Cookies vor Einwilligung',
+    securityTxt: 'Veröffentlicht security.txt',
+    privacyPolicy: 'Datenschutzerklärung verlinkt',
+    ownedBy: 'Gehört zu {name}',
+    ownedFrom: 'Eigentümer mit Sitz in {country}',
+  },
+  score: {
+    label: 'Vertrauen {score}',
+    unknown: 'Vertrauenswert unbekannt: keine aktuellen Prüfungen',
+    unknownShort: 'Vertrauen ?',
+    signal: '{label}: {value}/100, {share} % des Werts (geprüft vor {days} Tagen)',
+    unchecked: '{label}: unbekannt, noch nicht geprüft',
+    stale: '{label}: unbekannt, zuletzt vor {days} Tagen geprüft',
+    signals: {
+      health: 'Erreichbarkeit der Website',
+      verification: 'Identitätsprüfung',
+      privacy: 'Datenschutz',
+    },
+  },
+  facets: {
+    filters: 'Filter',
+    clear: 'Filter zurücksetzen',
+    includeUnreachable: 'Derzeit nicht erreichbare einbeziehen',
+    sortBy: 'Sortieren nach',
+    region: 'Region',
+    country: 'Land',
+    trustSignals: 'Vertrauenssignale',
+    trust: {
+      trustpilot: 'Von Trustpilot bestätigt',
+      wikidata: 'Von Wikidata bestätigt',
+      recent: 'In den letzten 30 Tagen geprüft',
+    },
+    sort: {
+      relevance: 'Relevanz',
+      name: 'Name',
+      country: 'Land',
+      checked: 'Zuletzt geprüft',
+      verification: 'Stärke der Überprüfung',
+      trust: 'Vertrauenswert',
+    },
+  },
+  suggest: {
+    title: 'Dienst vorschlagen',
+    thanks: 'Danke! Schicke diesen Vorschlag per E-Mail an das Team oder hänge die Datei an ein Issue an. Er landet unverändert in der Prüfwarteschlange, nichts muss neu eingegeben werden.',
+    email: 'E-Mail',
+    download: 'Herunterladen',
+    name: 'Name des Dienstes *',
+    url: 'URL *',
+    alreadyListed: 'Bereits gelistet:',
+    category: 'Kategorie',
+    select: 'Auswählen',
+    other: 'Sonstiges',
+    country: 'Land',
+    description: 'Beschreibung',
+    submit: 'Absenden',
+  },
+  status: {
+    active: 'Erreichbar',
+    inactive: 'Nicht erreichbar',
+    verified: 'Verifiziert',
+    needs_review: 'Prüfung nötig',
+    unverified: 'Nicht verifiziert',
+    no_trackers: 'Keine Tracker gefunden',
+    trackers: 'Tracker gefunden',
+    unchecked: 'Noch nicht geprüft',
+  },
+  fields: {
+    country: 'Land',
+    region: 'Region',
+    category: 'Kategorie',
+    replaces: 'Ersetzt',
+    website: 'Website',
+    listed: 'Auf der Seite gelistet',
+    yes: 'Ja',
+    no: 'Nein',
+    hidden: 'Ausgeblendet (nicht erreichbar)',
+    httpStatus: 'Letzter HTTP-Status',
+    availabilityChecked: 'Erreichbarkeit zuletzt geprüft',
+    trustpilot: 'Trustpilot',
+    wikidata: 'Wikidata',
+    wikidataId: 'Wikidata-ID',
+    confidence: 'Sicherheit der Wikidata-Zuordnung',
+    privacy: 'Datenschutz',
+    trustChecked: 'Vertrauenssignale zuletzt geprüft',
+    never: 'Nie',
+  },
+  stats: {
+    services: 'Dienste',
+    active: 'Aktiv',
+    trustpilotVerified: 'Bei Trustpilot verifiziert',
+    wikidataVerified: 'Bei Wikidata verifiziert',
+  },
+  browse: {
+    title: 'Nach Kategorie und Land stöbern | Global Balance',
+    heading: 'Das Verzeichnis durchstöbern',
+    back: 'Alle Kategorien und Länder',
+    categories: 'Kategorien',
+    countries: 'Länder',
+    categorySummary: '{active} von {total} aktiv · ersetzt {incumbent}',
+    unreachable: 'derzeit nicht erreichbar',
+  },
+  category: {
+    title: '{category}: Alternativen zu {incumbents} | Global Balance',
+    description: '{count} Alternativen in {category} aus {countries} Ländern.',
+    listName: 'Alternativen in {category}',
+    alternativesTo: 'Alternativen zu {incumbents}',
+    byCountry: 'Nach Land',
+  },
+  country: {
+    title: 'Digitale Dienste aus {country} | Global Balance',
+    description: '{count} Alternativen zu Big-Tech-Diensten aus {country}.',
+    listName: 'Digitale Dienste aus {country}',
+    byCategory: 'Nach Kategorie',
+  },
+  service: {
+    title: '{name} - Alternative in {category} aus {country} | Global Balance',
+    back: 'Alle Alternativen',
+    visit: 'Website besuchen',
+    verification: 'Überprüfung',
+    failures: 'Fehlgeschlagene Prüfungen in Folge',
+    evidence: 'Belege für die Wikidata-Zuordnung',
+    privacyScan: 'Datenschutz-Scan der Startseite',
+    trackers: 'Tracker von Drittanbietern',
+    noTrackers: 'Keine gefunden',
+    cookies: 'Cookies vor der Einwilligung',
+    noCookies: 'Keine',
+    httpsHsts: 'HTTPS / HSTS',
+    securityTxt: 'security.txt',
+    published: 'Veröffentlicht',
+    notFound: 'Nicht gefunden',
+    privacyPolicy: 'Datenschutzerklärung',
+    policyLinked: 'Auf der Startseite verlinkt',
+    noPolicy: 'Kein Link gefunden',
+    scanned: 'Gescannt',
+    checks: 'Letzte Prüfergebnisse',
+    check: 'Prüfung',
+    result: 'Ergebnis',
+    reason: 'Grund',
+    http: 'HTTP',
+    date: 'Datum',
+    ownership: 'Eigentümer',
+    ownedThrough: 'Gehört über {org} zu {company}, einem etablierten Anbieter, zu dem dieser Dienst als Alternative gelistet ist.',
+    ownedFrom: '{org} in der Eigentümerkette hat seinen Sitz in {country}, wo auch die ersetzten etablierten Anbieter ansässig sind.',
+    parent: 'Muttergesellschaft',
+    owner: 'Letztlicher Eigentümer',
+    noneListed: 'Keine angegeben',
+    chain: 'Kette',
+    fromWikidata: 'Aus Wikidata',
+    others: 'Weitere Alternativen in {category}',
+  },
+  compare: {
+    title: 'Alternativen vergleichen | Global Balance',
+    description: 'Datenschutzfreundliche Alternativen nebeneinander vergleichen.',
+    heading: 'Alternativen vergleichen',
+    empty: 'Noch nichts zu vergleichen',
+    emptyHint: 'Wähle in der {search} bei einigen Karten {compare}, um sie nebeneinander zu sehen.',
+    search: 'Suche',
+    back: 'Zurück zur Suche (weitere hinzufügen)',
+    unknown: 'Nicht mehr im Datensatz: {ids}',
+  },
+  changes: {
+    title: 'Änderungen am Datensatz | Global Balance',
+    description: 'Neue, entfernte, ausgefallene und wieder erreichbare Dienste sowie Änderungen der Vertrauensprüfung, Prüfung für Prüfung.',
+    heading: 'Änderungen am Datensatz',
+    feed: 'Atom-Feed',
+    empty: 'Noch keine Änderungen erfasst. Jede wöchentliche Prüfung fügt hier einen Eintrag hinzu.',
+    kinds: {
+      added: 'Neue Dienste',
+      removed: 'Entfernt',
+      down: 'Ausgefallen',
+      recovered: 'Wieder erreichbar',
+    },
+    trust: 'Vertrauensprüfung',
+    signals: {
+      trustpilot: 'Trustpilot',
+      wikidata: 'Wikidata',
+      privacy: 'Datenschutz',
+    },
+    summary: {
+      added: '{count} neu',
+      removed: '{count} entfernt',
+      down: '{count} ausgefallen',
+      recovered: '{count} wieder erreichbar',
+      trust: '{count} Vertrauensänderungen',
+      trustOne: '{count} Vertrauensänderung',
+      none: 'Keine Änderungen',
+    },
+  },
+  categories: {
+    'Communication': 'Kommunikation',
+    'Productivity & Tools': 'Produktivität & Werkzeuge',
+    'Social': 'Soziale Netzwerke',
+    'Information & Browsers': 'Information & Browser',
+    'Electric Vehicles': 'Elektrofahrzeuge',
+    'Cloud Infrastructure': 'Cloud-Infrastruktur',
+    'Entertainment': 'Unterhaltung',
+    'E-Commerce': 'Onlinehandel',
+  },
+  regions: {
+    'Western Europe': 'Westeuropa',
+    'Northern Europe': 'Nordeuropa',
+    'Southern Europe': 'Südeuropa',
+    'Central Europe': 'Mitteleuropa',
+    'Eastern Europe': 'Osteuropa',
+    'North America': 'Nordamerika',
+    'Central America': 'Mittelamerika',
+    'Caribbean': 'Karibik',
+    'South America': 'Südamerika',
+    'East Asia': 'Ostasien',
+    'Southeast Asia': 'Südostasien',
+    'South Asia': 'Südasien',
+    'Central Asia': 'Zentralasien',
+    'Middle East': 'Naher Osten',
+    'Africa': 'Afrika',
+    'Oceania': 'Ozeanien',
+    'Antarctica': 'Antarktis',
+  },
+};
+
+export default de;
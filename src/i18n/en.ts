@@ -0,0 +1,280 @@
+/**
+ * English UI strings. This catalogue defines the keys: every other locale
+ * must translate all of them (the Strings type enforces it).
+ *
+ * `{name}`-style placeholders are filled in by format()/formatParts() in
+ * src/lib/i18n.ts.
+ */
+const en = {
+  nav: {
+    browse: 'Browse',
+    suggest: '+ Suggest Service',
+    changes: 'Changes',
+    language: 'Language',
+  },
+  home: {
+    title: 'Global Balance - Privacy-Focused Alternatives from Around the World',
+    description: 'Discover privacy-focused alternatives from every corner of the globe. A global peace initiative for a balanced digital ecosystem.',
+    heading: 'Global Digital Balance',
+    tagline: 'A global peace initiative for digital diversity.',
+    subtitle: 'Discover privacy-focused alternatives from every corner of the globe.',
+  },
+  footer: {
+    sourcesHeading: 'Data Sources',
+    sources: [
+      'Service data curated from public sources',
+      'Trustpilot for business verification',
+      'HTTP health checks for availability',
+      'Community suggestions and feedback',
+    ],
+    dataset: 'Download the dataset (JSON, CSV)',
+    aboutHeading: 'About',
+    about: 'Global Balance helps you discover privacy-focused alternatives to major tech platforms from around the world. We believe in a more balanced digital ecosystem.',
+    disclaimerHeading: 'Disclaimer',
+    disclaimer: 'This site is for informational purposes only. We do not endorse or guarantee any listed service. Information may be inaccurate or outdated. Always verify before using any service. We are not responsible for any issues arising from use of listed services.',
+    builtWith: 'Built with {link}',
+  },
+  search: {
+    placeholder: 'Search by service, country, or what it replaces (Gmail, Netflix, AWS...)',
+    alternativesTo: 'Showing alternatives to {name} ({details})',
+    all: 'All ({count})',
+    visit: 'Visit {name}',
+    unreachable: 'Currently unreachable',
+    active: 'Active',
+    trustpilot: 'Trustpilot',
+    wikidata: 'Wikidata',
+    checked: 'Checked: {date}',
+    compare: 'Compare',
+    noResults: 'No results found',
+    noResultsHint: 'Try a different search term, category or filter',
+    showingVerified: 'Showing {shown} of {total} verified alternatives',
+    showingListed: 'Showing {shown} of {total} listed alternatives',
+    remove: 'Remove {name}',
+    clear: 'Clear',
+    compareCount: 'Compare {count}',
+    selectMore: 'Select at least one more to compare',
+    noTrackers: 'No trackers',
+    trackers: '{count} trackers',
+    hsts: 'HTTPS + HSTS',
+    cookies: '{count} cookies before consent',
+    securityTxt: 'Publishes security.txt',
+    privacyPolicy: 'Privacy policy linked',
+    ownedBy: 'Owned by {name}',
+    ownedFrom: 'Owner based in {country}',
+  },
+  score: {
+    label: 'Trust {score}',
+    unknown: 'Trust score unknown: no recent checks',
+    unknownShort: 'Trust ?',
+    signal: '{label}: {value}/100, {share}% of the score (checked {days} days ago)',
+    unchecked: '{label}: unknown, not checked yet',
+    stale: '{label}: unknown, last checked {days} days ago',
+    signals: {
+      health: 'Website health',
+      verification: 'Identity verification',
+      privacy: 'Privacy',
+    },
+  },
+  facets: {
+    filters: 'Filters',
+    clear: 'Clear filters',
+    includeUnreachable: 'Include currently unreachable',
+    sortBy: 'Sort by',
+    region: 'Region',
+    country: 'Country',
+    trustSignals: 'Trust signals',
+    trust: {
+      trustpilot: 'Trustpilot verified',
+      wikidata: 'Wikidata verified',
+      recent: 'Checked in the last 30 days',
+    },
+    sort: {
+      relevance: 'Relevance',
+      name: 'Name',
+      country: 'Country',
+      checked: 'Last checked',
+      verification: 'Verification strength',
+      trust: 'Trust score',
+    },
+  },
+  suggest: {
+    title: 'Suggest a Service',
+    thanks: 'Thanks! Send this suggestion to the maintainers by email or attach the file to an issue. It goes into the review queue as it is, so nothing needs retyping.',
+    email: 'Email',
+    download: 'Download',
+    name: 'Service Name *',
+    url: 'URL *',
+    alreadyListed: 'Already listed:',
+    category: 'Category',
+    select: 'Select',
+    other: 'Other',
+    country: 'Country',
+    description: 'Description',
+    submit: 'Submit',
+  },
+  status: {
+    active: 'Reachable',
+    inactive: 'Unreachable',
+    verified: 'Verified',
+    needs_review: 'Needs review',
+    unverified: 'Not verified',
+    no_trackers: 'No trackers found',
+    trackers: 'Trackers found',
+    unchecked: 'Not checked yet',
+  },
+  fields: {
+    country: 'Country',
+    region: 'Region',
+    category: 'Category',
+    replaces: 'Replaces',
+    website: 'Website',
+    listed: 'Listed on site',
+    yes: 'Yes',
+    no: 'No',
+    hidden: 'Hidden (unreachable)',
+    httpStatus: 'Last HTTP status',
+    availabilityChecked: 'Availability last checked',
+    trustpilot: 'Trustpilot',
+    wikidata: 'Wikidata',
+    wikidataId: 'Wikidata id',
+    confidence: 'Wikidata match confidence',
+    privacy: 'Privacy',
+    trustChecked: 'Trust signals last checked',
+    never: 'Never',
+  },
+  stats: {
+    services: 'Services',
+    active: 'Active',
+    trustpilotVerified: 'Trustpilot verified',
+    wikidataVerified: 'Wikidata verified',
+  },
+  browse: {
+    title: 'Browse by category and country | Global Balance',
+    heading: 'Browse the directory',
+    back: 'Browse all categories and countries',
+    categories: 'Categories',
+    countries: 'Countries',
+    categorySummary: '{active} active of {total} · replaces {incumbent}',
+    unreachable: 'currently unreachable',
+  },
+  category: {
+    title: '{category} alternatives to {incumbents} | Global Balance',
+    description: '{count} {category} alternatives from {countries} countries.',
+    listName: '{category} alternatives',
+    alternativesTo: 'Alternatives to {incumbents}',
+    byCountry: 'By country',
+  },
+  country: {
+    title: 'Digital services from {country} | Global Balance',
+    description: '{count} alternatives to big-tech services from {country}.',
+    listName: 'Digital services from {country}',
+    byCategory: 'By category',
+  },
+  service: {
+    title: '{name} - {category} alternative from {country} | Global Balance',
+    back: 'All alternatives',
+    visit: 'Visit website',
+    verification: 'Verification',
+    failures: 'Consecutive failed checks',
+    evidence: 'Wikidata match evidence',
+    privacyScan: 'Homepage privacy scan',
+    trackers: 'Third-party trackers',
+    noTrackers: 'None found',
+    cookies: 'Cookies before consent',
+    noCookies: 'None',
+    httpsHsts: 'HTTPS / HSTS',
+    securityTxt: 'security.txt',
+    published: 'Published',
+    notFound: 'Not found',
+    privacyPolicy: 'Privacy policy',
+    policyLinked: 'Linked from the homepage',
+    noPolicy: 'No link found',
+    scanned: 'Scanned',
+    checks: 'Latest check results',
+    check: 'Check',
+    result: 'Result',
+    reason: 'Reason',
+    http: 'HTTP',
+    date: 'Date',
+    ownership: 'Ownership',
+    ownedThrough: 'Owned by {company} through {org}, an incumbent this service is listed as an alternative to.',
+    ownedFrom: '{org} in its ownership chain is based in {country}, where the incumbents it replaces are headquartered.',
+    parent: 'Parent organization',
+    owner: 'Ultimate owner',
+    noneListed: 'None listed',
+    chain: 'Chain',
+    fromWikidata: 'From Wikidata',
+    others: 'Other alternatives in {category}',
+  },
+  compare: {
+    title: 'Compare alternatives | Global Balance',
+    description: 'Compare privacy-focused alternatives side by side.',
+    heading: 'Compare alternatives',
+    empty: 'Nothing to compare yet',
+    emptyHint: 'Tick {compare} on a few cards in the {search} to see them side by side.',
+    search: 'search',
+    back: 'Back to search (add more)',
+    unknown: 'Not in the dataset any more: {ids}',
+  },
+  changes: {
+    title: 'Dataset changes | Global Balance',
+    description: 'New, removed, offline and recovered services and trust verification changes, audit by audit.',
+    heading: 'Dataset changes',
+    feed: 'Atom feed',
+    empty: 'No changes recorded yet. Each weekly audit adds an entry here.',
+    kinds: {
+      added: 'New services',
+      removed: 'Removed',
+      down: 'Went offline',
+      recovered: 'Back online',
+    },
+    trust: 'Trust verification',
+    signals: {
+      trustpilot: 'Trustpilot',
+      wikidata: 'Wikidata',
+      privacy: 'Privacy',
+    },
+    summary: {
+      added: '{count} new',
+      removed: '{count} removed',
+      down: '{count} went offline',
+      recovered: '{count} back online',
+      trust: '{count} trust changes',
+      trustOne: '{count} trust change',
+      none: 'No changes',
+    },
+  },
+  categories: {
+    'Communication': 'Communication',
+    'Productivity & Tools': 'Productivity & Tools',
+    'Social': 'Social',
+    'Information & Browsers': 'Information & Browsers',
+    'Electric Vehicles': 'Electric Vehicles',
+    'Cloud Infrastructure': 'Cloud Infrastructure',
+    'Entertainment': 'Entertainment',
+    'E-Commerce': 'E-Commerce',
+  },
+  regions: {
+    'Western Europe': 'Western Europe',
+    'Northern Europe': 'Northern Europe',
+    'Southern Europe': 'Southern Europe',
+    'Central Europe': 'Central Europe',
+    'Eastern Europe': 'Eastern Europe',
+    'North America': 'North America',
+    'Central America': 'Central America',
+    'Caribbean': 'Caribbean',
+    'South America': 'South America',
+    'East Asia': 'East Asia',
+    'Southeast Asia': 'Southeast Asia',
+    'South Asia': 'South Asia',
+    'Central Asia': 'Central Asia',
+    'Middle East': 'Middle East',
+    'Africa': 'Africa',
+    'Oceania': 'Oceania',
+    'Antarctica': 'Antarctica',
+  },
+};
+
+export type Strings = typeof en;
+
+export default en;
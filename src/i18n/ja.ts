@@ -0,0 +1,274 @@
+import type { Strings } from './en';
+
+/** Japanese UI strings */
+const ja: Strings = {
+  nav: {
+    browse: '一覧',
+    suggest: '+ サービスを提案',
+    changes: '更新履歴',
+    language: '言語',
+  },
+  home: {
+    title: 'Global Balance - 世界中のプライバシー重視の代替サービス',
+    description: '世界各地のプライバシーを重視した代替サービスを見つけましょう。バランスの取れたデジタル環境のための国際的な平和イニシアチブです。',
+    heading: 'グローバル・デジタル・バランス',
+    tagline: 'デジタルの多様性のための国際的な平和イニシアチブ。',
+    subtitle: '世界各地のプライバシーを重視した代替サービスを見つけましょう。',
+  },
+  footer: {
+    sourcesHeading: 'データソース',
+    sources: [
+      '公開情報から収集したサービスデータ',
+      'Trustpilot による事業者の確認',
+      'HTTP による稼働状況のチェック',
+      'コミュニティからの提案とフィードバック',
+    ],
+    dataset: 'データセットをダウンロード (JSON、CSV)',
+    aboutHeading: 'このサイトについて',
+    about: 'Global Balance は、大手テックプラットフォームに代わる、世界中のプライバシー重視のサービスを見つけるお手伝いをします。よりバランスの取れたデジタル環境を目指しています。',
+    disclaimerHeading: '免責事項',
+    disclaimer: '本サイトは情報提供のみを目的としています。掲載サービスを推奨または保証するものではありません。情報が不正確または古い場合があります。ご利用の前に必ずご自身で確認してください。掲載サービスの利用により生じた問題について、当サイトは責任を負いません。',
+    builtWith: '{link} で作成',
+  },
+  search: {
+    placeholder: 'サービス名、国、置き換える対象で検索 (Gmail、Netflix、AWS...)',
+    alternativesTo: '{name} ({details}) の代替サービス',
+    all: 'すべて ({count})',
+    visit: '{name} を開く',
+    unreachable: '現在アクセスできません',
+    active: '稼働中',
+    trustpilot: 'Trustpilot',
+    wikidata: 'Wikidata',
+    checked: '確認日: {date}',
+    compare: '比較',
+    noResults: '該当するサービスがありません',
+    noResultsHint: '検索語、カテゴリ、フィルターを変えてお試しください',
+    showingVerified: '確認済みの代替サービス {total} 件中 {shown} 件を表示',
+    showingListed: '掲載中の代替サービス {total} 件中 {shown} 件を表示',
+    remove: '{name} を外す',
+    clear: 'クリア',
+    compareCount: '{count} 件を比較',
+    selectMore: '比較するにはもう 1 件以上選んでください',
+    noTrackers: 'トラッカーなし',
+    trackers: 'トラッカー {count} 件',
+    hsts: 'HTTPS + HSTS',
+    cookies: '同意前の Cookie {count} 件',
+    securityTxt: 'security.txt を公開',
+    privacyPolicy: 'プライバシーポリシーへのリンクあり',
+    ownedBy: '{name} の傘下',
+    ownedFrom: '所有者の所在国: {country}',
+  },
+  score: {
+    label: '信頼度 {score}',
+    unknown: '信頼度不明: 最近の確認がありません',
+    unknownShort: '信頼度 ?',
+    signal: '{label}: {value}/100、スコアの {share}% ({days} 日前に確認)',
+    unchecked: '{label}: 不明 (未確認)',
+    stale: '{label}: 不明 (最終確認は {days} 日前)',
+    signals: {
+      health: 'ウェブサイトの稼働状況',
+      verification: '身元の確認',
+      privacy: 'プライバシー',
+    },
+  },
+  facets: {
+    filters: 'フィルター',
+    clear: 'フィルターを解除',
+    includeUnreachable: '現在アクセスできないものも含める',
+    sortBy: '並べ替え',
+    region: '地域',
+    country: '国',
+    trustSignals: '信頼性',
+    trust: {
+      trustpilot: 'Trustpilot で確認済み',
+      wikidata: 'Wikidata で確認済み',
+      recent: '過去 30 日以内に確認',
+    },
+    sort: {
+      relevance: '関連度',
+      name: '名前',
+      country: '国',
+      checked: '最終確認日',
+      verification: '確認の確かさ',
+      trust: '信頼度',
+    },
+  },
+  suggest: {
+    title: 'サービスを提案',
+    thanks: 'ありがとうございます。この提案をメールで送るか、ファイルを issue に添付してください。そのままレビュー待ちに追加されるので、入力し直す必要はありません。',
+    email: 'メール',
+    download: 'ダウンロード',
+    name: 'サービス名 *',
+    url: 'URL *',
+    alreadyListed: '掲載済み:',
+    category: 'カテゴリ',
+    select: '選択',
+    other: 'その他',
+    country: '国',
+    description: '説明',
+    submit: '送信',
+  },
+  status: {
+    active: '接続可能',
+    inactive: '接続不可',
+    verified: '確認済み',
+    needs_review: '要確認',
+    unverified: '未確認',
+    no_trackers: 'トラッカーなし',
+    trackers: 'トラッカーあり',
+    unchecked: '未チェック',
+  },
+  fields: {
+    country: '国',
+    region: '地域',
+    category: 'カテゴリ',
+    replaces: '代替対象',
+    website: 'ウェブサイト',
+    listed: 'サイトに掲載',
+    yes: 'はい',
+    no: 'いいえ',
+    hidden: '非表示 (接続不可)',
+    httpStatus: '最新の HTTP ステータス',
+    availabilityChecked: '稼働状況の最終チェック',
+    trustpilot: 'Trustpilot',
+    wikidata: 'Wikidata',
+    wikidataId: 'Wikidata ID',
+    confidence: 'Wikidata 照合の信頼度',
+    privacy: 'プライバシー',
+    trustChecked: '信頼性シグナルの最終チェック',
+    never: 'なし',
+  },
+  stats: {
+    services: 'サービス',
+    active: '稼働中',
+    trustpilotVerified: 'Trustpilot 確認済み',
+    wikidataVerified: 'Wikidata 確認済み',
+  },
+  browse: {
+    title: 'カテゴリと国から探す | Global Balance',
+    heading: 'ディレクトリを見る',
+    back: 'すべてのカテゴリと国',
+    categories: 'カテゴリ',
+    countries: '国',
+    categorySummary: '{total} 件中 {active} 件稼働中 · {incumbent} の代替',
+    unreachable: '現在接続できません',
+  },
+  category: {
+    title: '{category}: {incumbents} の代替サービス | Global Balance',
+    description: '{countries} か国の {category} の代替サービス {count} 件。',
+    listName: '{category} の代替サービス',
+    alternativesTo: '{incumbents} の代替',
+    byCountry: '国別',
+  },
+  country: {
+    title: '{country} のデジタルサービス | Global Balance',
+    description: '{country} の大手テックサービスの代替 {count} 件。',
+    listName: '{country} のデジタルサービス',
+    byCategory: 'カテゴリ別',
+  },
+  service: {
+    title: '{name} - {country} の {category} の代替サービス | Global Balance',
+    back: 'すべての代替サービス',
+    visit: 'ウェブサイトへ',
+    verification: '検証',
+    failures: '連続したチェック失敗',
+    evidence: 'Wikidata 照合の根拠',
+    privacyScan: 'トップページのプライバシースキャン',
+    trackers: 'サードパーティのトラッカー',
+    noTrackers: '見つかりませんでした',
+    cookies: '同意前の Cookie',
+    noCookies: 'なし',
+    httpsHsts: 'HTTPS / HSTS',
+    securityTxt: 'security.txt',
+    published: '公開あり',
+    notFound: '見つかりませんでした',
+    privacyPolicy: 'プライバシーポリシー',
+    policyLinked: 'トップページからリンクあり',
+    noPolicy: 'リンクが見つかりませんでした',
+    scanned: 'スキャン日',
+    checks: '最新のチェック結果',
+    check: 'チェック',
+    result: '結果',
+    reason: '理由',
+    http: 'HTTP',
+    date: '日付',
+    ownership: '所有者',
+    ownedThrough: '{org} を通じて {company} が所有しています。このサービスが代替として掲載されている大手サービスの一つです。',
+    ownedFrom: '所有者の連鎖にある {org} は、代替対象の大手サービスと同じ {country} に本拠を置いています。',
+    parent: '親組織',
+    owner: '最終的な所有者',
+    noneListed: '記載なし',
+    chain: '所有の連鎖',
+    fromWikidata: 'Wikidata から取得',
+    others: '{category} のその他の代替サービス',
+  },
+  compare: {
+    title: '代替サービスを比較 | Global Balance',
+    description: 'プライバシー重視の代替サービスを並べて比較します。',
+    heading: '代替サービスを比較',
+    empty: 'まだ比較するものがありません',
+    emptyHint: '{search}でいくつかのカードの{compare}にチェックを入れると、並べて比較できます。',
+    search: '検索',
+    back: '検索に戻る (さらに追加)',
+    unknown: 'データセットにもう存在しません: {ids}',
+  },
+  changes: {
+    title: 'データセットの更新履歴 | Global Balance',
+    description: '追加・削除・停止・復旧したサービスと信頼性検証の変更を、監査ごとに掲載しています。',
+    heading: 'データセットの更新履歴',
+    feed: 'Atom フィード',
+    empty: 'まだ変更は記録されていません。毎週の監査ごとにここへ追加されます。',
+    kinds: {
+      added: '新しいサービス',
+      removed: '削除',
+      down: '停止',
+      recovered: '復旧',
+    },
+    trust: '信頼性の検証',
+    signals: {
+      trustpilot: 'Trustpilot',
+      wikidata: 'Wikidata',
+      privacy: 'プライバシー',
+    },
+    summary: {
+      added: '新規 {count} 件',
+      removed: '削除 {count} 件',
+      down: '停止 {count} 件',
+      recovered: '復旧 {count} 件',
+      trust: '信頼性の変更 {count} 件',
+      trustOne: '信頼性の変更 {count} 件',
+      none: '変更なし',
+    },
+  },
+  categories: {
+    'Communication': 'コミュニケーション',
+    'Productivity & Tools': '仕事効率化・ツール',
+    'Social': 'ソーシャル',
+    'Information & Browsers': '情報・ブラウザ',
+    'Electric Vehicles': '電気自動車',
+    'Cloud Infrastructure': 'クラウドインフラ',
+    'Entertainment': 'エンターテインメント',
+    'E-Commerce': 'ネット通販',
+  },
+  regions: {
+    'Western Europe': '西ヨーロッパ',
+    'Northern Europe': '北ヨーロッパ',
+    'Southern Europe': '南ヨーロッパ',
+    'Central Europe': '中央ヨーロッパ',
+    'Eastern Europe': '東ヨーロッパ',
+    'North America': '北アメリカ',
+    'Central America': '中央アメリカ',
+    'Caribbean': 'カリブ',
+    'South America': '南アメリカ',
+    'East Asia': '東アジア',
+    'Southeast Asia': '東南アジア',
+    'South Asia': '南アジア',
+    'Central Asia': '中央アジア',
+    'Middle East': '中東',
+    'Africa': 'アフリカ',
+    'Oceania': 'オセアニア',
+    'Antarctica': '南極',
+  },
+};
+
+export default ja;
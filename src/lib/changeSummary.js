@@ -0,0 +1,50 @@
+/**
+ * One-line summary of a changelog entry, shared by the /changes/ page, the
+ * Atom feed and scripts/changelog.js (the audit pull request's title)
+ *
+ * Plain JavaScript so Node scripts can import it without a build step.
+ */
+
+/**
+ * @typedef {{ added: unknown[], removed: unknown[], down: unknown[], recovered: unknown[], trust: unknown[] }} ChangeCounts
+ */
+
+/**
+ * @typedef {{ added: string, removed: string, down: string, recovered: string, trust: string, trustOne: string, none: string }} SummaryLabels
+ */
+
+/**
+ * English labels; `{count}` is replaced with the number. The /changes/ page
+ * passes its locale's labels instead.
+ * @type {SummaryLabels}
+ */
+export const SUMMARY_LABELS = {
+  added: '{count} new',
+  removed: '{count} removed',
+  down: '{count} went offline',
+  recovered: '{count} back online',
+  trust: '{count} trust changes',
+  trustOne: '{count} trust change',
+  none: 'No changes',
+};
+
+/**
+ * Count summary, e.g. "2 new, 1 went offline, 3 trust changes"
+ * @param {ChangeCounts} entry
+ * @param {SummaryLabels} [labels]
+ * @returns {string}
+ */
+export function summarizeChanges(entry, labels = SUMMARY_LABELS) {
+  /** @type {[number, string][]} */
+  const parts = [
+    [entry.added.length, labels.added],
+    [entry.removed.length, labels.removed],
+    [entry.down.length, labels.down],
+    [entry.recovered.length, labels.recovered],
+    [entry.trust.length, entry.trust.length === 1 ? labels.trustOne : labels.trust],
+  ];
+  const present = parts.filter(([count]) => count > 0);
+  return present.length > 0
+    ? present.map(([count, label]) => label.replace('{count}', String(count))).join(', ')
+    : labels.none;
+}
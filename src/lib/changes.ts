@@ -0,0 +1,58 @@
+import changelogData from '../data/changelog.json';
+import { categories, flattenServices, servicePath } from './services';
+import { DEFAULT_LOCALE, type Locale } from './locales.js';
+
+export { summarizeChanges } from './changeSummary.js';
+
+export interface ChangedService {
+  id: string;
+  name: string;
+  category: string;
+  /** ISO 3166-1 alpha-2 code */
+  country: string;
+  /** Why the website check failed (services that went down) */
+  reason?: string;
+}
+
+export interface TrustChange {
+  id: string;
+  name: string;
+  signal: string;
+  from: string;
+  to: string;
+}
+
+/** One entry of src/data/changelog.json (written by scripts/changelog.js) */
+export interface ChangelogEntry {
+  date: string;
+  added: ChangedService[];
+  removed: ChangedService[];
+  down: ChangedService[];
+  recovered: ChangedService[];
+  trust: TrustChange[];
+}
+
+/** Newest first */
+export const changelog = changelogData as ChangelogEntry[];
+
+export const CHANGE_KINDS = [
+  { key: 'added', label: 'New services' },
+  { key: 'removed', label: 'Removed' },
+  { key: 'down', label: 'Went offline' },
+  { key: 'recovered', label: 'Back online' },
+] as const;
+
+export const SIGNAL_LABELS: Record<string, string> = {
+  trustpilot: 'Trustpilot',
+  wikidata: 'Wikidata',
+  privacy: 'Privacy',
+};
+
+const listedIds = new Set(flattenServices(categories).map(inn => inn.id));
+
+/**
+ * Detail page of a changed service, or null if it is no longer listed
+ */
+export function listedServicePath(id: string, locale: Locale = DEFAULT_LOCALE) {
+  return listedIds.has(id) ? servicePath(id, locale) : null;
+}
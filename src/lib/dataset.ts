@@ -0,0 +1,280 @@
+import {
+  categories, flattenServices, servicePath, slugify, wikidataUrl,
+  type Category, type ListedInnovator,
+} from './services';
+import { LOCALES, DEFAULT_LOCALE } from './locales.js';
+import { descriptionOrigin, type DescriptionOrigin } from './descriptions.js';
+
+/**
+ * Public dataset exports (/data/...) and schema.org JSON-LD for the pages
+ */
+
+/**
+ * Shape of the exported records. Bump the major version when a field is
+ * removed or changes meaning, the minor version when one is added.
+ */
+export const SCHEMA_VERSION = '1.3.0';
+
+export interface DatasetInfo {
+  schema_version: string;
+  /** `<date of the latest check>.<content hash>`; changes whenever the data does */
+  dataset_version: string;
+  /** Latest check timestamp in the data, so rebuilding unchanged data gives identical files */
+  generated_at: string | null;
+}
+
+/** One innovator as published in the exports */
+export interface ExportedInnovator {
+  id: string;
+  name: string;
+  description: string;
+  /** Where the description came from: manual, wikidata, homepage or placeholder */
+  description_source: DescriptionOrigin;
+  url: string;
+  country: string;
+  country_name: string;
+  region: string;
+  category: string;
+  replaces: string[];
+  is_active: boolean;
+  http_code: number;
+  last_checked: string | null;
+  website_status: string | null;
+  trustpilot_status: string | null;
+  wikidata_status: string | null;
+  wikidata_id: string | null;
+  wikidata_confidence: number | null;
+  /** no_trackers, trackers or unchecked (homepage privacy scan) */
+  privacy_status: string | null;
+  /** Blocklisted tracker domains the homepage loads */
+  trackers: string[];
+  hsts: boolean | null;
+  security_txt: boolean | null;
+  privacy_policy: string | null;
+  trust_last_checked: string | null;
+  /** Ownership from Wikidata (P749/P127); null when not looked up or none listed */
+  parent_organization: string | null;
+  owner: string | null;
+  owner_qid: string | null;
+  /** ISO country code of the owner */
+  owner_jurisdiction: string | null;
+  translations: Record<string, { name?: string; description?: string }>;
+  page: string;
+}
+
+/**
+ * Every timestamp the checks wrote, newest last
+ */
+function checkTimestamps(data: Category[]) {
+  const stamps: string[] = [];
+  for (const { innovators } of data) {
+    for (const inn of innovators) {
+      if (inn.status.last_checked) stamps.push(inn.status.last_checked);
+      if (inn.trust_data?.last_checked) stamps.push(inn.trust_data.last_checked);
+      for (const check of Object.values(inn.trust_data?.checks ?? {})) stamps.push(check.checked_at);
+    }
+  }
+  return stamps.filter(s => !Number.isNaN(Date.parse(s))).sort((a, b) => Date.parse(a) - Date.parse(b));
+}
+
+// FNV-1a: a short, stable fingerprint of the content (not a security hash)
+function fingerprint(text: string) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * The time trust scores are computed at (epoch ms): the latest check in the
+ * data rather than the clock, so server and client render the same scores
+ */
+export function trustReferenceTime(data: Category[] = categories) {
+  const { generated_at: generatedAt } = datasetInfo(data);
+  return generatedAt ? Date.parse(generatedAt) : 0;
+}
+
+/**
+ * Version stamp of a dataset, derived from its content only
+ */
+export function datasetInfo(data: Category[] = categories): DatasetInfo {
+  const latest = checkTimestamps(data).at(-1) ?? null;
+  const generatedAt = latest ? new Date(latest).toISOString() : null;
+  const hash = fingerprint(JSON.stringify(data));
+  const day = generatedAt ? generatedAt.slice(0, 10).replace(/-/g, '') : '0';
+  return { schema_version: SCHEMA_VERSION, dataset_version: `${day}.${hash}`, generated_at: generatedAt };
+}
+
+export function exportInnovator(inn: ListedInnovator): ExportedInnovator {
+  const trust = inn.trust_data ?? {};
+  return {
+    id: inn.id,
+    name: inn.name,
+    description: inn.description,
+    description_source: descriptionOrigin(inn),
+    url: inn.url,
+    country: inn.country,
+    country_name: inn.countryName,
+    region: inn.region,
+    category: inn.categoryName,
+    replaces: inn.replaces ?? [],
+    is_active: inn.status.is_active,
+    http_code: inn.status.http_code,
+    last_checked: inn.status.last_checked,
+    website_status: trust.website_status ?? null,
+    trustpilot_status: trust.trustpilot_status ?? null,
+    wikidata_status: trust.wikidata_status ?? null,
+    wikidata_id: trust.wikidata_id ?? null,
+    wikidata_confidence: trust.wikidata_confidence ?? null,
+    privacy_status: trust.privacy_status ?? null,
+    trackers: trust.privacy?.trackers.map(tracker => tracker.domain) ?? [],
+    hsts: trust.privacy?.hsts ?? null,
+    security_txt: trust.privacy?.security_txt ?? null,
+    privacy_policy: trust.privacy?.privacy_policy ?? null,
+    trust_last_checked: trust.last_checked ?? null,
+    parent_organization: inn.ownership?.parent?.name ?? null,
+    owner: inn.ownership?.owner?.name ?? null,
+    owner_qid: inn.ownership?.owner?.qid ?? null,
+    owner_jurisdiction: inn.ownership?.owner?.jurisdiction ?? null,
+    translations: inn.translations ?? {},
+    page: servicePath(inn.id),
+  };
+}
+
+/**
+ * Every innovator (active or not) in export shape, in dataset order
+ */
+export function exportedInnovators(data: Category[] = categories) {
+  return flattenServices(data).map(exportInnovator);
+}
+
+const TRANSLATED_LOCALES = LOCALES.filter(locale => locale !== DEFAULT_LOCALE);
+
+// CSV columns: the scalar fields, list fields joined with ";", one name and
+// description column per translated language
+export const CSV_COLUMNS = [
+  'id', 'name', 'description', 'description_source', 'url', 'country', 'country_name', 'region', 'category', 'replaces',
+  'is_active', 'http_code', 'last_checked', 'website_status', 'trustpilot_status', 'wikidata_status',
+  'wikidata_id', 'wikidata_confidence', 'privacy_status', 'trackers', 'hsts', 'security_txt', 'privacy_policy',
+  'trust_last_checked', 'parent_organization', 'owner', 'owner_qid', 'owner_jurisdiction', 'page',
+  ...TRANSLATED_LOCALES.flatMap(locale => [`name_${locale}`, `description_${locale}`]),
+];
+
+function csvCell(value: unknown) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * RFC 4180 CSV of exported innovators, header row first
+ */
+export function toCsv(rows: ExportedInnovator[]) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of rows) {
+    const cells: Record<string, unknown> = { ...row };
+    for (const locale of TRANSLATED_LOCALES) {
+      cells[`name_${locale}`] = row.translations[locale]?.name;
+      cells[`description_${locale}`] = row.translations[locale]?.description;
+    }
+    lines.push(CSV_COLUMNS.map(column => csvCell(cells[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/** Public export files, relative to the site root */
+export const EXPORT_PATHS = {
+  index: '/data/index.json',
+  json: '/data/innovators.json',
+  csv: '/data/innovators.csv',
+  category: (category: string) => `/data/category/${slugify(category)}.json`,
+};
+
+/**
+ * Absolute URL when the site URL is configured (astro.config `site`),
+ * root-relative otherwise
+ */
+export function absoluteUrl(path: string, site: URL | undefined) {
+  return site ? new URL(path, site).href : path;
+}
+
+/**
+ * schema.org SoftwareApplication for a service, published by an
+ * Organization in the service's country. The organization is only named
+ * when Wikidata lists one (its parent organization, else its owner).
+ */
+export function softwareApplicationLd(inn: ListedInnovator, site?: URL) {
+  const wikidataId = inn.trust_data?.wikidata_id;
+  const organization = inn.ownership?.parent ?? inn.ownership?.owner;
+  const otherNames = Object.values(inn.translations ?? {}).map(t => t?.name).filter(name => name && name !== inn.name);
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'SoftwareApplication',
+    '@id': absoluteUrl(servicePath(inn.id), site),
+    name: inn.name,
+    description: inn.description,
+    url: inn.url,
+    applicationCategory: inn.categoryName,
+    countryOfOrigin: { '@type': 'Country', name: inn.countryName, identifier: inn.country },
+    ...(wikidataId ? { sameAs: [wikidataUrl(wikidataId)] } : {}),
+    ...(otherNames.length > 0 ? { alternateName: otherNames } : {}),
+    publisher: {
+      '@type': 'Organization',
+      ...(organization ? { name: organization.name, sameAs: wikidataUrl(organization.qid) } : {}),
+      url: new URL(inn.url).origin,
+      address: { '@type': 'PostalAddress', addressCountry: inn.country },
+    },
+  };
+}
+
+/**
+ * schema.org ItemList linking to the detail pages of `innovators`
+ */
+export function itemListLd(name: string, innovators: ListedInnovator[], site?: URL) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'ItemList',
+    name,
+    numberOfItems: innovators.length,
+    itemListElement: innovators.map((inn, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      url: absoluteUrl(servicePath(inn.id), site),
+      name: inn.name,
+    })),
+  };
+}
+
+/**
+ * schema.org Dataset describing the export files
+ */
+export function datasetLd(site?: URL, data: Category[] = categories) {
+  const info = datasetInfo(data);
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Dataset',
+    name: 'Global Balance innovators',
+    description: 'Curated privacy-focused alternatives to major tech platforms, with availability and verification status.',
+    version: info.dataset_version,
+    ...(info.generated_at ? { dateModified: info.generated_at } : {}),
+    distribution: [
+      { '@type': 'DataDownload', encodingFormat: 'application/json', contentUrl: absoluteUrl(EXPORT_PATHS.json, site) },
+      { '@type': 'DataDownload', encodingFormat: 'text/csv', contentUrl: absoluteUrl(EXPORT_PATHS.csv, site) },
+      ...data.map(c => ({
+        '@type': 'DataDownload',
+        name: c.category,
+        encodingFormat: 'application/json',
+        contentUrl: absoluteUrl(EXPORT_PATHS.category(c.category), site),
+      })),
+    ],
+  };
+}
+
+/**
+ * JSON for a <script type="application/ld+json">, safe to inline in HTML
+ */
+export function jsonLd(value: unknown) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
@@ -0,0 +1,53 @@
+/**
+ * Where a service's description came from, shared by the site and the scripts
+ *
+ * A service may record `description_source: { origin, ref?, retrieved_at? }`:
+ *
+ *   manual       written or edited by a maintainer; never replaced
+ *   wikidata     the Wikidata item's English description (ref: the QID)
+ *   homepage     the service's own <meta> description (ref: the tag)
+ *   placeholder  generated stand-in such as "Proton Mail - Software from Switzerland"
+ *
+ * Records without one are classified from the text: a "<name> - <tagline>"
+ * stand-in is a placeholder, anything else counts as manual. A recorded
+ * placeholder whose text no longer looks like one was edited by hand.
+ *
+ * Plain JavaScript so Node scripts can import it without a build step.
+ */
+
+/** @typedef {'manual' | 'wikidata' | 'homepage' | 'placeholder'} DescriptionOrigin */
+
+/** @type {DescriptionOrigin[]} */
+export const DESCRIPTION_ORIGINS = ['manual', 'wikidata', 'homepage', 'placeholder'];
+
+// "<name> - <short tagline without sentence punctuation>"
+const PLACEHOLDER_PATTERN = /^(.+?) [-–—] ([^.!?]{1,80})$/;
+
+function words(text) {
+  return text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word.length >= 3);
+}
+
+/**
+ * True for stand-in descriptions like "Tuta - Encrypted email from Germany":
+ * a name sharing a word with the service's, a dash and a short tagline
+ * @param {string} description
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isPlaceholderDescription(description, name) {
+  const match = PLACEHOLDER_PATTERN.exec(description?.trim() ?? '');
+  if (!match) return false;
+  const nameWords = new Set(words(name));
+  return match[1].trim().toLowerCase() === name.trim().toLowerCase() || words(match[1]).some(word => nameWords.has(word));
+}
+
+/**
+ * Where an innovator's current description came from
+ * @param {{ name: string, description: string, description_source?: { origin: DescriptionOrigin } }} innovator
+ * @returns {DescriptionOrigin}
+ */
+export function descriptionOrigin(innovator) {
+  const recorded = innovator.description_source?.origin;
+  if (recorded && recorded !== 'placeholder') return recorded;
+  return isPlaceholderDescription(innovator.description, innovator.name) ? 'placeholder' : 'manual';
+}
@@ -0,0 +1,125 @@
+import type { ListedInnovator } from './services';
+import { trustScores, compareTrust } from './trustScore';
+
+export type TrustFacet = 'trustpilot' | 'wikidata' | 'recent';
+export type SortKey = 'relevance' | 'name' | 'country' | 'checked' | 'verification' | 'trust';
+
+export interface FacetFilters {
+  regions: string[];
+  countries: string[];
+  trust: TrustFacet[];
+}
+
+// In display order; their labels live in the UI string catalogue (facets.trust / facets.sort)
+export const TRUST_FACETS: TrustFacet[] = ['trustpilot', 'wikidata', 'recent'];
+
+export const SORT_OPTIONS: SortKey[] = ['relevance', 'name', 'country', 'checked', 'verification', 'trust'];
+
+const RECENT_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Most recent check of any kind, as epoch ms (0 if never checked)
+ */
+export function lastChecked(inn: ListedInnovator): number {
+  const dates = [inn.status.last_checked, inn.trust_data?.last_checked]
+    .filter((d): d is string => Boolean(d))
+    .map(d => Date.parse(d))
+    .filter(t => !Number.isNaN(t));
+  return dates.length ? Math.max(...dates) : 0;
+}
+
+export function matchesTrust(inn: ListedInnovator, facet: TrustFacet, now: number): boolean {
+  switch (facet) {
+    case 'trustpilot': return inn.trust_data?.trustpilot_status === 'verified';
+    case 'wikidata': return inn.trust_data?.wikidata_status === 'verified';
+    case 'recent': return now - lastChecked(inn) <= RECENT_MS;
+  }
+}
+
+/**
+ * Apply the facet filters. Values within a facet are OR-ed (any selected
+ * region), facets are AND-ed; trust signals must all hold. `except` skips
+ * one facet, which is how the per-value counts are computed.
+ */
+export function applyFacets(
+  items: ListedInnovator[],
+  filters: FacetFilters,
+  { now = Date.now(), except }: { now?: number; except?: keyof FacetFilters } = {},
+) {
+  return items.filter(inn =>
+    (except === 'regions' || filters.regions.length === 0 || filters.regions.includes(inn.region)) &&
+    (except === 'countries' || filters.countries.length === 0 || filters.countries.includes(inn.country)) &&
+    (except === 'trust' || filters.trust.every(facet => matchesTrust(inn, facet, now)))
+  );
+}
+
+/**
+ * How many items each value of a facet would match, given the other
+ * facets' current selection
+ */
+export function facetCounts(
+  items: ListedInnovator[],
+  filters: FacetFilters,
+  facet: 'regions' | 'countries',
+  now = Date.now(),
+): [string, number][] {
+  const pool = applyFacets(items, filters, { now, except: facet });
+  const counts = new Map<string, number>();
+  for (const inn of items) counts.set(facet === 'regions' ? inn.region : inn.country, 0);
+  for (const inn of pool) {
+    const value = facet === 'regions' ? inn.region : inn.country;
+    counts.set(value, (counts.get(value) ?? 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => a[0].localeCompare(b[0]));
+}
+
+/**
+ * Count for each trust signal if it were added to the current selection
+ */
+export function trustCounts(items: ListedInnovator[], filters: FacetFilters, now = Date.now()) {
+  const pool = applyFacets(items, filters, { now, except: 'trust' });
+  return Object.fromEntries(
+    TRUST_FACETS.map(value => [
+      value,
+      pool.filter(inn => [...filters.trust, value].every(f => matchesTrust(inn, f, now))).length,
+    ]),
+  ) as Record<TrustFacet, number>;
+}
+
+/**
+ * Rough strength of the identity/legitimacy evidence for an innovator
+ */
+export function verificationStrength(inn: ListedInnovator): number {
+  const trust = inn.trust_data;
+  let score = 0;
+  if (trust?.wikidata_status === 'verified') score += 2 * (trust.wikidata_confidence ?? 1);
+  else if (trust?.wikidata_status === 'needs_review') score += 0.5;
+  if (trust?.trustpilot_status === 'verified') score += 1;
+  if (trust?.website_status === 'active') score += 1;
+  return score;
+}
+
+/**
+ * Sort a copy of `items`; 'relevance' keeps the incoming order (the search
+ * ranking). `now` is the trust scores' reference time (see trustScore()).
+ */
+export function sortInnovators(items: ListedInnovator[], sort: SortKey, now: number) {
+  const sorted = [...items];
+  switch (sort) {
+    case 'name':
+      return sorted.sort((a, b) => a.name.localeCompare(b.name));
+    case 'country':
+      return sorted.sort((a, b) => a.countryName.localeCompare(b.countryName) || a.name.localeCompare(b.name));
+    case 'checked':
+      return sorted.sort((a, b) => lastChecked(b) - lastChecked(a));
+    case 'verification':
+      return sorted.sort((a, b) => verificationStrength(b) - verificationStrength(a) || a.name.localeCompare(b.name));
+    case 'trust': {
+      // See src/lib/trustScore.ts
+      const scores = trustScores(items, now);
+      return sorted.sort((a, b) => compareTrust(scores.get(a.id)!, scores.get(b.id)!) || a.name.localeCompare(b.name));
+    }
+    default:
+      return sorted;
+  }
+}
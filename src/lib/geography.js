@@ -0,0 +1,147 @@
+/**
+ * Countries and regions, shared by the site and the scripts
+ *
+ * Records store ISO 3166-1 alpha-2 codes ("DE", "JP"). Everything else is
+ * derived from the code: the region a country is grouped under, its display
+ * name in any language (Intl.DisplayNames) and its flag emoji.
+ *
+ * Plain JavaScript so Node scripts can import it without a build step.
+ */
+
+// Every ISO 3166-1 alpha-2 code, grouped into the regions the site shows
+const REGION_CODES = {
+  'Western Europe': ['AT', 'BE', 'CH', 'DE', 'FR', 'GB', 'IE', 'LI', 'LU', 'MC', 'NL'],
+  'Northern Europe': ['AX', 'DK', 'EE', 'FI', 'FO', 'GG', 'IM', 'IS', 'JE', 'LT', 'LV', 'NO', 'SE', 'SJ'],
+  'Southern Europe': ['AD', 'AL', 'BA', 'CY', 'ES', 'GI', 'GR', 'HR', 'IT', 'ME', 'MK', 'MT', 'PT', 'RS', 'SM', 'VA'],
+  'Central Europe': ['CZ', 'HU', 'PL', 'SI', 'SK'],
+  'Eastern Europe': ['BG', 'BY', 'MD', 'RO', 'RU', 'UA'],
+  'North America': ['BM', 'CA', 'GL', 'MX', 'PM', 'US'],
+  'Central America': ['BZ', 'CR', 'GT', 'HN', 'NI', 'PA', 'SV'],
+  'Caribbean': [
+    'AG', 'AI', 'AW', 'BB', 'BL', 'BQ', 'BS', 'CU', 'CW', 'DM', 'DO', 'GD', 'GP', 'HT', 'JM', 'KN',
+    'KY', 'LC', 'MF', 'MQ', 'MS', 'PR', 'SX', 'TC', 'TT', 'VC', 'VG', 'VI',
+  ],
+  'South America': ['AR', 'BO', 'BR', 'CL', 'CO', 'EC', 'FK', 'GF', 'GS', 'GY', 'PE', 'PY', 'SR', 'UY', 'VE'],
+  'East Asia': ['CN', 'HK', 'JP', 'KP', 'KR', 'MN', 'MO', 'TW'],
+  'Southeast Asia': ['BN', 'ID', 'KH', 'LA', 'MM', 'MY', 'PH', 'SG', 'TH', 'TL', 'VN'],
+  'South Asia': ['AF', 'BD', 'BT', 'IN', 'IO', 'LK', 'MV', 'NP', 'PK'],
+  'Central Asia': ['KG', 'KZ', 'TJ', 'TM', 'UZ'],
+  'Middle East': ['AE', 'AM', 'AZ', 'BH', 'GE', 'IL', 'IQ', 'IR', 'JO', 'KW', 'LB', 'OM', 'PS', 'QA', 'SA', 'SY', 'TR', 'YE'],
+  'Africa': [
+    'AO', 'BF', 'BI', 'BJ', 'BW', 'CD', 'CF', 'CG', 'CI', 'CM', 'CV', 'DJ', 'DZ', 'EG', 'EH', 'ER',
+    'ET', 'GA', 'GH', 'GM', 'GN', 'GQ', 'GW', 'KE', 'KM', 'LR', 'LS', 'LY', 'MA', 'MG', 'ML', 'MR',
+    'MU', 'MW', 'MZ', 'NA', 'NE', 'NG', 'RE', 'RW', 'SC', 'SD', 'SH', 'SL', 'SN', 'SO', 'SS', 'ST',
+    'SZ', 'TD', 'TG', 'TN', 'TZ', 'UG', 'YT', 'ZA', 'ZM', 'ZW',
+  ],
+  'Oceania': [
+    'AS', 'AU', 'CC', 'CK', 'CX', 'FJ', 'FM', 'GU', 'HM', 'KI', 'MH', 'MP', 'NC', 'NF', 'NR', 'NU',
+    'NZ', 'PF', 'PG', 'PN', 'PW', 'SB', 'TK', 'TO', 'TV', 'UM', 'VU', 'WF', 'WS',
+  ],
+  'Antarctica': ['AQ', 'BV', 'TF'],
+};
+
+/** Region names in display order */
+export const REGIONS = Object.keys(REGION_CODES);
+
+const regionByCode = new Map(
+  Object.entries(REGION_CODES).flatMap(([region, codes]) => codes.map(code => [code, region]))
+);
+
+/** Every valid country code, sorted */
+export const COUNTRY_CODES = [...regionByCode.keys()].sort();
+
+// English spellings seen in the dataset and on Wikidata that Intl.DisplayNames doesn't produce
+const NAME_ALIASES = {
+  'usa': 'US',
+  'united states of america': 'US',
+  'uk': 'GB',
+  'great britain': 'GB',
+  'czech republic': 'CZ',
+  "people's republic of china": 'CN',
+  'republic of korea': 'KR',
+  'korea': 'KR',
+  'kingdom of the netherlands': 'NL',
+  'russian federation': 'RU',
+  'turkey': 'TR',
+  'ivory coast': 'CI',
+  'republic of ireland': 'IE',
+  'hong kong': 'HK',
+  'macau': 'MO',
+  'state of palestine': 'PS',
+  'myanmar': 'MM',
+  'burma': 'MM',
+  'east timor': 'TL',
+  'swaziland': 'SZ',
+  'cabo verde': 'CV',
+  'democratic republic of the congo': 'CD',
+  'republic of the congo': 'CG',
+};
+
+/**
+ * True for a valid ISO 3166-1 alpha-2 code (upper case)
+ * @param {unknown} code
+ * @returns {boolean}
+ */
+export function isCountryCode(code) {
+  return typeof code === 'string' && regionByCode.has(code);
+}
+
+/**
+ * The region a country is grouped under, or null for an unknown code
+ * @param {string} code
+ * @returns {string | null}
+ */
+export function regionOf(code) {
+  return regionByCode.get(code) ?? null;
+}
+
+/** @type {Map<string, Intl.DisplayNames>} */
+const displayNames = new Map();
+
+/**
+ * Country name in the given language, e.g. countryName('DE', 'ja') → 'ドイツ'.
+ * Falls back to the code itself.
+ * @param {string} code
+ * @param {string} [locale]
+ * @returns {string}
+ */
+export function countryName(code, locale = 'en') {
+  if (!isCountryCode(code)) return code;
+  if (!displayNames.has(locale)) displayNames.set(locale, new Intl.DisplayNames([locale], { type: 'region', fallback: 'code' }));
+  return displayNames.get(locale)?.of(code) ?? code;
+}
+
+/**
+ * Flag emoji built from the code's regional indicator symbols (🌍 if unknown)
+ * @param {string} code
+ * @returns {string}
+ */
+export function countryFlag(code) {
+  if (!isCountryCode(code)) return '🌍';
+  return String.fromCodePoint(...[...code].map(c => 0x1F1E6 + c.charCodeAt(0) - 65));
+}
+
+function normalize(name) {
+  return name.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[’']/g, "'").replace(/&/g, 'and').replace(/\bst\.? /g, 'saint ').replace(/\s+/g, ' ').trim();
+}
+
+/** @type {Map<string, string> | null} */
+let codesByName = null;
+
+/**
+ * Code for a country given by code or English name ("DE", "de", "Germany",
+ * "USA", "Czech Republic"), or null if it can't be mapped
+ * @param {string | null | undefined} value
+ * @returns {string | null}
+ */
+export function toCountryCode(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const trimmed = value.trim();
+  if (isCountryCode(trimmed.toUpperCase()) && trimmed.length === 2) return trimmed.toUpperCase();
+
+  if (!codesByName) {
+    codesByName = new Map(Object.entries(NAME_ALIASES));
+    for (const code of COUNTRY_CODES) codesByName.set(normalize(countryName(code)), code);
+  }
+  return codesByName.get(normalize(trimmed)) ?? null;
+}
@@ -0,0 +1,49 @@
+import en, { type Strings } from '../i18n/en';
+import de from '../i18n/de';
+import ja from '../i18n/ja';
+import { DEFAULT_LOCALE, isLocale, type Locale } from './locales.js';
+
+export type { Strings };
+
+const CATALOGUES: Record<Locale, Strings> = { en, de, ja };
+
+/**
+ * UI strings for a locale (English for anything unknown)
+ */
+export function getStrings(locale: string | undefined): Strings {
+  return CATALOGUES[isLocale(locale) ? locale : DEFAULT_LOCALE];
+}
+
+/**
+ * Fill `{key}` placeholders: format('Compare {count}', { count: 3 })
+ */
+export function format(template: string, values: Record<string, string | number>) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+/**
+ * Like format(), but values may be elements: returns the template split into
+ * text and values, in order, for rendering as children
+ */
+export function formatParts<T>(template: string, values: Record<string, T>): (string | T)[] {
+  return template.split(/\{(\w+)\}/).map((part, i) => (i % 2 === 1 ? values[part] ?? `{${part}}` : part));
+}
+
+/**
+ * Path of a page in a locale: localePath('de', '/') → '/de/'. English pages
+ * have no prefix.
+ */
+export function localePath(locale: Locale, path = '/') {
+  return locale === DEFAULT_LOCALE ? path : `/${locale}${path}`;
+}
+
+/**
+ * Display name of a site category or region, falling back to the English key
+ */
+export function categoryLabel(t: Strings, category: string) {
+  return (t.categories as Record<string, string>)[category] ?? category;
+}
+
+export function regionLabel(t: Strings, region: string) {
+  return (t.regions as Record<string, string>)[region] ?? region;
+}
@@ -0,0 +1,69 @@
+import incumbentsData from '../data/incumbents.json';
+
+export interface Incumbent {
+  id: string;
+  name: string;
+  owner?: string;
+  hq: string;
+  category: string;
+  aliases: string[];
+}
+
+export const incumbents = incumbentsData as Incumbent[];
+
+const byId = new Map(incumbents.map(inc => [inc.id, inc]));
+
+export function getIncumbent(id: string): Incumbent | null {
+  return byId.get(id) ?? null;
+}
+
+/**
+ * Resolve an innovator's `replaces` ids, skipping unknown ones
+ */
+export function replacedIncumbents(replaces: string[] | undefined): Incumbent[] {
+  return (replaces ?? []).map(id => byId.get(id)).filter((inc): inc is Incumbent => Boolean(inc));
+}
+
+// "alternatives to gmail", "replace whatsapp", "instead of netflix", ...
+const REPLACE_PREFIX = /^(?:(?:an?\s+)?alternatives?\s+(?:to|for)|replac(?:e|ing|ements?\s+for)|instead\s+of|switch(?:ing)?\s+from|leave|leaving)\s+/;
+
+function normalize(text: string) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function containsPhrase(text: string, phrase: string) {
+  const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}([^a-z0-9]|$)`).test(text);
+}
+
+/**
+ * A search query without its "alternatives to" prefix, for the text search
+ */
+export function stripReplacePrefix(query: string) {
+  return normalize(query).replace(REPLACE_PREFIX, '');
+}
+
+/**
+ * The incumbent a search query is asking about, e.g. "alternatives to Gmail"
+ * or just "gmail". Aliases match as whole words; when several match, the
+ * longest alias wins, so "google drive" beats "google maps". A bare query
+ * only matches aliases, which leave out everyday words ("notion", "word");
+ * after an "alternatives to" prefix the incumbent's name matches too.
+ */
+export function matchIncumbent(query: string): Incumbent | null {
+  const normalized = normalize(query);
+  const q = normalized.replace(REPLACE_PREFIX, '');
+  if (!q) return null;
+  const prefixed = q !== normalized;
+
+  let best: { incumbent: Incumbent; length: number } | null = null;
+  for (const incumbent of incumbents) {
+    const names = prefixed ? [incumbent.name.toLowerCase(), ...incumbent.aliases] : incumbent.aliases;
+    for (const alias of names) {
+      if (containsPhrase(q, alias) && (!best || alias.length > best.length)) {
+        best = { incumbent, length: alias.length };
+      }
+    }
+  }
+  return best?.incumbent ?? null;
+}
@@ -0,0 +1,33 @@
+/**
+ * Languages the site is published in, shared by the site, astro.config.mjs
+ * and the scripts
+ *
+ * English is the default: it is served without a prefix (/), every other
+ * locale under its own (/de/, /ja/). A service's `name` and `description`
+ * are English; other languages go in its `translations`.
+ *
+ * Plain JavaScript so Node scripts can import it without a build step.
+ */
+
+/** @typedef {'en' | 'de' | 'ja'} Locale */
+
+/** @type {Locale} */
+export const DEFAULT_LOCALE = 'en';
+
+/** @type {Locale[]} */
+export const LOCALES = ['en', 'de', 'ja'];
+
+/** Each locale's name in its own language, for the language switcher */
+export const LOCALE_NAMES = {
+  en: 'English',
+  de: 'Deutsch',
+  ja: '日本語',
+};
+
+/**
+ * @param {unknown} value
+ * @returns {value is Locale}
+ */
+export function isLocale(value) {
+  return typeof value === 'string' && LOCALES.includes(/** @type {Locale} */ (value));
+}
@@ -0,0 +1,90 @@
+/**
+ * Whether a service's ownership chain leads back to the incumbents it is
+ * listed as an alternative to, shared by the site and the lint
+ *
+ * A service is flagged when an organisation in its `ownership.chain` (see
+ * scripts/lib/ownership.js) is
+ *
+ *   company       one of the incumbent companies: the category's incumbent
+ *                 and the owners of the incumbents it replaces or that share
+ *                 its category (incumbents.json)
+ *   jurisdiction  based in one of those incumbents' HQ countries
+ *
+ * A company match is reported before a jurisdiction match.
+ *
+ * Plain JavaScript so Node scripts can import it without a build step.
+ */
+
+/**
+ * @typedef {{ qid: string, name: string, jurisdiction: string | null }} Organization
+ * @typedef {{ parent: Organization | null, owner: Organization | null, chain: (Organization & { via: string })[], retrieved_at: string }} Ownership
+ * @typedef {{ owner?: string, hq: string, category: string, id: string }} IncumbentRef
+ * @typedef {{ kind: 'company', org: Organization, company: string } | { kind: 'jurisdiction', org: Organization, country: string }} OwnershipFlag
+ */
+
+// Legal-form words that don't distinguish one company from another
+const LEGAL_FORMS = new Set([
+  'inc', 'incorporated', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'plc', 'gmbh', 'ag',
+  'sa', 'sas', 'nv', 'bv', 'kk', 'ab', 'oy', 'as', 'spa', 'srl', 'group', 'holding', 'holdings',
+]);
+
+/**
+ * Lowercased company name without punctuation or legal form ("Google LLC" → "google")
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeCompany(name) {
+  return name.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/).filter(word => word && !LEGAL_FORMS.has(word)).join(' ');
+}
+
+/**
+ * True when an organisation name is the company or a named part of it
+ * ("Meta Platforms" for "Meta", "Amazon.com, Inc." for "Amazon")
+ * @param {string} orgName
+ * @param {string} company
+ * @returns {boolean}
+ */
+export function isCompany(orgName, company) {
+  const org = normalizeCompany(orgName);
+  const wanted = normalizeCompany(company);
+  return Boolean(wanted) && (org === wanted || org.startsWith(`${wanted} `));
+}
+
+/**
+ * The incumbent companies and HQ countries a service is measured against
+ * @param {{ category: string, incumbent: { name: string, hq: string } }} category
+ * @param {{ replaces?: string[] }} innovator
+ * @param {IncumbentRef[]} incumbents
+ * @returns {{ companies: string[], countries: string[] }}
+ */
+export function incumbentsOf(category, innovator, incumbents) {
+  const replaced = new Set(innovator.replaces ?? []);
+  const related = incumbents.filter(inc => inc.category === category.category || replaced.has(inc.id));
+  const companies = related.map(inc => inc.owner).filter(Boolean);
+  // "Various" stands for the incumbents listed in incumbents.json
+  if (category.incumbent.name !== 'Various') companies.push(category.incumbent.name);
+  return {
+    companies: [...new Set(companies)],
+    countries: [...new Set([category.incumbent.hq, ...related.map(inc => inc.hq)])],
+  };
+}
+
+/**
+ * The first organisation in a service's ownership chain that is an incumbent
+ * company or sits in an incumbent's HQ country, or null
+ * @param {{ ownership?: Ownership | null }} innovator
+ * @param {{ companies: string[], countries: string[] }} targets
+ * @returns {OwnershipFlag | null}
+ */
+export function ownershipFlag(innovator, { companies, countries }) {
+  const chain = innovator.ownership?.chain ?? [];
+  for (const org of chain) {
+    const company = companies.find(c => isCompany(org.name, c));
+    if (company) return { kind: 'company', org, company };
+  }
+  for (const org of chain) {
+    if (org.jurisdiction && countries.includes(org.jurisdiction)) return { kind: 'jurisdiction', org, country: org.jurisdiction };
+  }
+  return null;
+}
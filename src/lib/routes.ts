@@ -0,0 +1,38 @@
+import { categories, slugify } from './services';
+import { DEFAULT_LOCALE, LOCALES } from './locales.js';
+
+/**
+ * getStaticPaths() entries of the detail pages. The English routes use them
+ * as they are; the ones under src/pages/[locale]/ go through localized().
+ * Props carry the raw data: each page flattens it in its own locale.
+ */
+export function servicePaths() {
+  return categories.flatMap(category => category.innovators.map(inn => ({
+    params: { id: inn.id },
+    props: { id: inn.id, category },
+  })));
+}
+
+export function categoryPaths() {
+  return categories.map(category => ({
+    params: { slug: slugify(category.category) },
+    props: { category },
+  }));
+}
+
+export function countryPaths() {
+  const codes = new Set(categories.flatMap(category => category.innovators.map(inn => inn.country)));
+  return [...codes].map(code => ({
+    params: { code: code.toLowerCase() },
+    props: { code },
+  }));
+}
+
+/**
+ * The same paths for every locale but the default one, which is served
+ * without a prefix. Pages without parameters pass `[{ params: {} }]`.
+ */
+export function localized<P extends { params: Record<string, string> }>(paths: P[]) {
+  return LOCALES.filter(locale => locale !== DEFAULT_LOCALE)
+    .flatMap(locale => paths.map(path => ({ ...path, params: { ...path.params, locale } })));
+}
@@ -0,0 +1,211 @@
+import { format } from 'date-fns';
+import servicesData from '../data/services.json';
+import { replacedIncumbents } from './incumbents';
+import { countryName } from './geography.js';
+import { DEFAULT_LOCALE, type Locale } from './locales.js';
+import { getStrings, localePath } from './i18n';
+import type { DescriptionOrigin } from './descriptions.js';
+import type { Ownership } from './ownership.js';
+
+export interface CheckSummary {
+  outcome: 'pass' | 'fail' | 'error';
+  reason: string;
+  http_code: number | null;
+  checked_at: string;
+}
+
+export interface WikidataEvidence {
+  signal: string;
+  score: number;
+  detail: string;
+}
+
+/** A third-party tracker found on the homepage (src/data/trackers.json) */
+export interface Tracker {
+  domain: string;
+  company: string;
+  category: string;
+}
+
+/** Homepage privacy scan (scripts/lib/privacy.js) */
+export interface PrivacyScan {
+  final_url: string;
+  http_code: number;
+  trackers: Tracker[];
+  cookies_before_consent: string[];
+  https: boolean;
+  hsts: boolean;
+  hsts_max_age: number | null;
+  security_txt: boolean;
+  privacy_policy: string | null;
+  checked_at: string;
+}
+
+export interface TrustData {
+  website_status?: string;
+  trustpilot_status?: string;
+  wikidata_status?: string;
+  privacy_status?: string;
+  privacy?: PrivacyScan;
+  wikidata_id?: string | null;
+  wikidata_confidence?: number;
+  wikidata_evidence?: WikidataEvidence[];
+  last_checked?: string | null;
+  checks?: Record<string, CheckSummary>;
+}
+
+/** Where a description came from; see src/lib/descriptions.js */
+export interface DescriptionSource {
+  origin: DescriptionOrigin;
+  /** The Wikidata QID or the homepage meta tag it was taken from */
+  ref?: string;
+  retrieved_at?: string;
+}
+
+/** A service's name and description in another language */
+export interface Translation {
+  name?: string;
+  description?: string;
+}
+
+export interface Innovator {
+  id: string;
+  name: string;
+  region: string;
+  /** ISO 3166-1 alpha-2 code */
+  country: string;
+  url: string;
+  description: string;
+  description_source?: DescriptionSource;
+  /** Ids of the incumbents.json products this innovator replaces */
+  replaces?: string[];
+  /** Non-English name/description by locale; English is `name`/`description` */
+  translations?: Partial<Record<Locale, Translation>>;
+  /** Parent organization and owners from Wikidata; see scripts/lib/ownership.js */
+  ownership?: Ownership | null;
+  status: {
+    is_active: boolean;
+    last_checked: string | null;
+    http_code: number;
+    consecutive_failures?: number;
+    /** Passing and conclusive website checks in the retained history */
+    uptime?: { passed: number; total: number };
+  };
+  trust_data?: TrustData;
+}
+
+export interface Category {
+  category: string;
+  icon?: string;
+  incumbent: { name: string; /** country code */ hq: string };
+  innovators: Innovator[];
+}
+
+export type ListedInnovator = Innovator & {
+  categoryName: string;
+  incumbentName: string;
+  /** Country name in the listing's locale, for display and search */
+  countryName: string;
+  /** Names of the replaced incumbent products */
+  replacing: string[];
+};
+
+export const categories = servicesData as Category[];
+
+/**
+ * Every innovator with its category attached, optionally only active ones.
+ * With a `locale`, name, description and country name are in that language
+ * where a translation exists, English otherwise.
+ */
+export function flattenServices(
+  data: Category[],
+  { activeOnly = false, locale = DEFAULT_LOCALE }: { activeOnly?: boolean; locale?: Locale } = {},
+): ListedInnovator[] {
+  const all: ListedInnovator[] = [];
+  for (const cat of data) {
+    for (const inn of cat.innovators) {
+      if (activeOnly && !inn.status.is_active) continue;
+      const translation = inn.translations?.[locale];
+      all.push({
+        ...inn,
+        name: translation?.name ?? inn.name,
+        description: translation?.description ?? inn.description,
+        categoryName: cat.category,
+        incumbentName: cat.incumbent.name,
+        countryName: countryName(inn.country, locale),
+        replacing: replacedIncumbents(inn.replaces).map(inc => inc.name),
+      });
+    }
+  }
+  return all;
+}
+
+export interface ServiceStats {
+  total: number;
+  active: number;
+  trustpilotVerified: number;
+  wikidataVerified: number;
+}
+
+export function summarize(innovators: Innovator[]): ServiceStats {
+  return {
+    total: innovators.length,
+    active: innovators.filter(i => i.status.is_active).length,
+    trustpilotVerified: innovators.filter(i => i.trust_data?.trustpilot_status === 'verified').length,
+    wikidataVerified: innovators.filter(i => i.trust_data?.wikidata_status === 'verified').length,
+  };
+}
+
+/**
+ * Count innovators per key, largest group first
+ */
+export function countBy<T>(items: T[], key: (item: T) => string): [string, number][] {
+  const counts = new Map<string, number>();
+  for (const item of items) counts.set(key(item), (counts.get(key(item)) ?? 0) + 1);
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+}
+
+export function slugify(value: string) {
+  return value.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Page paths in a locale (English, without a prefix, by default)
+ */
+export function categoryPath(category: string, locale: Locale = DEFAULT_LOCALE) {
+  return localePath(locale, `/category/${slugify(category)}/`);
+}
+
+export function countryPath(code: string, locale: Locale = DEFAULT_LOCALE) {
+  return localePath(locale, `/country/${code.toLowerCase()}/`);
+}
+
+export function formatDate(d: string | null | undefined, locale: Locale = DEFAULT_LOCALE) {
+  const date = d ? new Date(d) : null;
+  if (!date || Number.isNaN(date.getTime())) return null;
+  return locale === DEFAULT_LOCALE ? format(date, 'MMM d, yyyy') : date.toLocaleDateString(locale, { dateStyle: 'medium' });
+}
+
+/**
+ * Human-readable label for a trust_data status value
+ */
+export function statusLabel(value?: string, locale: Locale = DEFAULT_LOCALE) {
+  const labels: Record<string, string> = getStrings(locale).status;
+  return value ? labels[value] ?? value : labels.unchecked;
+}
+
+export function servicePath(id: string, locale: Locale = DEFAULT_LOCALE) {
+  return localePath(locale, `/service/${id}/`);
+}
+
+export function wikidataUrl(id: string) {
+  return `https://www.wikidata.org/wiki/${id}`;
+}
+
+export function trustpilotUrl(url: string) {
+  try {
+    return `https://www.trustpilot.com/review/${new URL(url).hostname.replace(/^www\./, '')}`;
+  } catch {
+    return null;
+  }
+}
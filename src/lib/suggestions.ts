@@ -0,0 +1,37 @@
+import type { ListedInnovator } from './services';
+
+/**
+ * What the suggest form produces; `npm run suggestions -- add --file` queues it
+ */
+export interface SuggestionInput {
+  name: string;
+  url: string;
+  category: string;
+  country: string;
+  description: string;
+  submitted_at: string;
+}
+
+// Same normalisation as scripts/lib/merge.js and scripts/lib/suggestions.js
+function normalizeDomain(url: string) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+function normalizeName(name: string) {
+  return name.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '');
+}
+
+/**
+ * Listed services with the same domain or name as a suggestion
+ */
+export function findExisting(innovators: ListedInnovator[], { name, url }: { name: string; url: string }) {
+  const domain = url ? normalizeDomain(url) : null;
+  const key = normalizeName(name);
+  return innovators.filter(inn =>
+    (domain && normalizeDomain(inn.url) === domain) || (key && normalizeName(inn.name) === key)
+  );
+}
@@ -0,0 +1,179 @@
+import type { ListedInnovator, Innovator } from './services';
+
+/**
+ * Composite trust score: one 0-100 number per service plus the breakdown
+ * behind it, for the card tooltip and the "Trust score" sort.
+ *
+ * Three signals, each scored 0-1 from the checkers' results:
+ *
+ *   health        share of passing website checks in the retained history
+ *                 (status.uptime), or the latest website status
+ *   verification  Wikidata identity match, weighted by its confidence, with
+ *                 a Trustpilot page as weak supporting evidence
+ *   privacy       homepage trackers, cookies before consent, HSTS and a
+ *                 privacy policy link
+ *
+ * The score is the weighted mean of the signals that are known. A signal
+ * that was never checked, or not checked within `staleDays`, is unknown: it
+ * drops out of the mean instead of counting as a zero. Between `freshDays`
+ * and `staleDays` a signal's weight fades to `minFreshness`, so older
+ * evidence counts for less without dragging the score down.
+ */
+
+export type TrustSignal = 'health' | 'verification' | 'privacy';
+
+export interface TrustScoreOptions {
+  /** Relative weight of each signal; they needn't add up to 1 */
+  weights: Record<TrustSignal, number>;
+  /** Checks up to this old count in full */
+  freshDays: number;
+  /** Checks older than this are ignored */
+  staleDays: number;
+  /** Weight factor of a check just under `staleDays` old */
+  minFreshness: number;
+}
+
+export const DEFAULT_TRUST_OPTIONS: TrustScoreOptions = {
+  weights: { health: 0.4, verification: 0.4, privacy: 0.2 },
+  freshDays: 30,
+  staleDays: 90,
+  minFreshness: 0.25,
+};
+
+// In display order
+export const TRUST_SIGNALS: TrustSignal[] = ['health', 'verification', 'privacy'];
+
+// A Trustpilot page only shows the name is in use, not who runs it
+const TRUSTPILOT_EVIDENCE = 0.3;
+// An unreviewed Wikidata candidate counts for this share of its confidence
+const NEEDS_REVIEW_FACTOR = 0.5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface SignalScore {
+  signal: TrustSignal;
+  /** 0-1, or null when unknown */
+  value: number | null;
+  /** 'unchecked' and 'stale' signals are unknown */
+  state: 'scored' | 'unchecked' | 'stale';
+  /** Age of the underlying check in whole days, null if never checked */
+  ageDays: number | null;
+  /** Configured weight times freshness; 0 when unknown */
+  weight: number;
+  /** Share of the final score, 0-1 */
+  share: number;
+}
+
+export interface TrustScore {
+  /** 0-100, or null when no signal is known */
+  score: number | null;
+  /** Weight of the known, fresh evidence relative to the full weight, 0-1 */
+  confidence: number;
+  signals: SignalScore[];
+}
+
+type Trust = NonNullable<Innovator['trust_data']>;
+
+// Latest timestamp among the given ones, as epoch ms
+function latest(...dates: (string | null | undefined)[]): number | null {
+  const times = dates.filter((d): d is string => Boolean(d)).map(d => Date.parse(d)).filter(t => !Number.isNaN(t));
+  return times.length ? Math.max(...times) : null;
+}
+
+function healthSignal(inn: Innovator, trust: Trust) {
+  const status = trust.website_status;
+  if (!status || status === 'unchecked') return null;
+  const { uptime } = inn.status;
+  const value = uptime && uptime.total > 0 ? uptime.passed / uptime.total : status === 'active' ? 1 : 0;
+  return { value, checkedAt: latest(trust.checks?.website?.checked_at, inn.status.last_checked) };
+}
+
+function verificationSignal(trust: Trust) {
+  const wikidata = trust.wikidata_status;
+  const trustpilot = trust.trustpilot_status;
+  const wikidataKnown = wikidata && wikidata !== 'unchecked';
+  const trustpilotKnown = trustpilot && trustpilot !== 'unchecked';
+  if (!wikidataKnown && !trustpilotKnown) return null;
+
+  const identity = wikidata === 'verified' ? trust.wikidata_confidence ?? 1
+    : wikidata === 'needs_review' ? NEEDS_REVIEW_FACTOR * (trust.wikidata_confidence ?? 0)
+    : 0;
+  const reviews = trustpilot === 'verified' ? TRUSTPILOT_EVIDENCE : 0;
+  return {
+    // Independent pieces of evidence: either may establish the identity
+    value: 1 - (1 - identity) * (1 - reviews),
+    checkedAt: latest(trust.checks?.wikidata?.checked_at, trust.checks?.trustpilot?.checked_at, trust.last_checked),
+  };
+}
+
+function privacySignal(trust: Trust) {
+  const { privacy } = trust;
+  if (!privacy || !trust.privacy_status || trust.privacy_status === 'unchecked') return null;
+  const trackers = Math.max(0, 1 - 0.25 * privacy.trackers.length);
+  const value = 0.6 * trackers
+    + 0.2 * (privacy.cookies_before_consent.length === 0 ? 1 : 0)
+    + 0.1 * (privacy.hsts ? 1 : 0)
+    + 0.1 * (privacy.privacy_policy ? 1 : 0);
+  return { value, checkedAt: latest(privacy.checked_at) };
+}
+
+/**
+ * Weight factor for a check `ageDays` old: 1 up to freshDays, fading
+ * linearly to minFreshness at staleDays
+ */
+export function freshness(ageDays: number, options: TrustScoreOptions = DEFAULT_TRUST_OPTIONS) {
+  const { freshDays, staleDays, minFreshness } = options;
+  if (ageDays <= freshDays) return 1;
+  const fade = Math.min(1, (ageDays - freshDays) / Math.max(1, staleDays - freshDays));
+  return 1 - fade * (1 - minFreshness);
+}
+
+/**
+ * Score an innovator. `now` (epoch ms) is the time check ages are measured
+ * from; the site uses trustReferenceTime() from dataset.ts, so the build and
+ * the hydrated page agree and unchanged data scores the same on every build.
+ */
+export function trustScore(
+  inn: Innovator,
+  { now, ...overrides }: Partial<TrustScoreOptions> & { now: number },
+): TrustScore {
+  const options = { ...DEFAULT_TRUST_OPTIONS, ...overrides };
+  const trust = inn.trust_data ?? {};
+  const raw = {
+    health: healthSignal(inn, trust),
+    verification: verificationSignal(trust),
+    privacy: privacySignal(trust),
+  };
+
+  const signals: SignalScore[] = TRUST_SIGNALS.map(signal => {
+    const result = raw[signal];
+    if (!result) return { signal, value: null, state: 'unchecked', ageDays: null, weight: 0, share: 0 };
+    const ageDays = result.checkedAt === null ? null : Math.max(0, Math.floor((now - result.checkedAt) / DAY_MS));
+    if (ageDays === null) return { signal, value: null, state: 'unchecked', ageDays, weight: 0, share: 0 };
+    if (ageDays > options.staleDays) return { signal, value: null, state: 'stale', ageDays, weight: 0, share: 0 };
+    const weight = options.weights[signal] * freshness(ageDays, options);
+    return { signal, value: result.value, state: 'scored', ageDays, weight, share: 0 };
+  });
+
+  const known = signals.reduce((sum, s) => sum + s.weight, 0);
+  const total = TRUST_SIGNALS.reduce((sum, signal) => sum + options.weights[signal], 0);
+  if (known === 0) return { score: null, confidence: 0, signals };
+
+  for (const s of signals) s.share = s.weight / known;
+  const mean = signals.reduce((sum, s) => sum + s.share * (s.value ?? 0), 0);
+  return { score: Math.round(mean * 100), confidence: total > 0 ? known / total : 0, signals };
+}
+
+/**
+ * Sort comparator: higher scores first, then more evidence; unknown scores last
+ */
+export function compareTrust(a: TrustScore, b: TrustScore) {
+  return (b.score ?? -1) - (a.score ?? -1) || b.confidence - a.confidence;
+}
+
+/**
+ * Scores for a list, keyed by id, so sorting and rendering compute each once
+ */
+export function trustScores(items: ListedInnovator[], now: number) {
+  return new Map(items.map(inn => [inn.id, trustScore(inn, { now })]));
+}
@@ -0,0 +1,137 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { localePath } from './i18n';
+import { DEFAULT_LOCALE, type Locale } from './locales.js';
+import { SORT_OPTIONS, TRUST_FACETS, type FacetFilters, type SortKey, type TrustFacet } from './facets';
+
+export interface SearchState extends FacetFilters {
+  query: string;
+  category: string | null;
+  includeInactive: boolean;
+  sort: SortKey;
+  /** Innovator ids picked for the compare view */
+  compare: string[];
+}
+
+export const DEFAULT_SEARCH_STATE: SearchState = {
+  query: '',
+  category: null,
+  regions: [],
+  countries: [],
+  trust: [],
+  includeInactive: false,
+  sort: 'relevance',
+  compare: [],
+};
+
+export const MAX_COMPARE = 4;
+
+const TRUST_VALUES = new Set<string>(TRUST_FACETS);
+const SORT_VALUES = new Set<string>(SORT_OPTIONS);
+
+function parseIdList(value: string | null) {
+  return [...new Set((value ?? '').split(',').map(id => id.trim()).filter(Boolean))];
+}
+
+// Id lists read better as `a,b,c` than `a%2Cb%2Cc`; commas are valid in a query string
+function toSearch(params: URLSearchParams) {
+  const search = params.toString().replace(/%2C/gi, ',');
+  return search ? `?${search}` : '';
+}
+
+/**
+ * Read search state from a query string like
+ * `?q=netflix&category=Entertainment&region=Western+Europe&region=Nordics&sort=name`.
+ * Multi-select facets repeat their parameter; unknown values are dropped.
+ */
+export function parseSearchState(search: string): SearchState {
+  const params = new URLSearchParams(search);
+  const sort = params.get('sort') ?? '';
+  return {
+    query: params.get('q') ?? '',
+    category: params.get('category') || null,
+    regions: params.getAll('region').filter(Boolean),
+    countries: params.getAll('country').filter(Boolean),
+    trust: params.getAll('trust').filter((t): t is TrustFacet => TRUST_VALUES.has(t)),
+    includeInactive: params.get('unreachable') === '1',
+    sort: SORT_VALUES.has(sort) ? sort as SortKey : 'relevance',
+    compare: parseIdList(params.get('compare')).slice(0, MAX_COMPARE),
+  };
+}
+
+/**
+ * Inverse of parseSearchState; default values are left out of the URL
+ */
+export function serializeSearchState(state: SearchState): string {
+  const params = new URLSearchParams();
+  if (state.query.trim()) params.set('q', state.query);
+  if (state.category) params.set('category', state.category);
+  for (const region of state.regions) params.append('region', region);
+  for (const country of state.countries) params.append('country', country);
+  for (const trust of state.trust) params.append('trust', trust);
+  if (state.includeInactive) params.set('unreachable', '1');
+  if (state.sort !== 'relevance') params.set('sort', state.sort);
+  if (state.compare.length > 0) params.set('compare', state.compare.join(','));
+  return toSearch(params);
+}
+
+export interface CompareState {
+  ids: string[];
+}
+
+/**
+ * Read the compare page state from `?ids=proton-mail,tutanota,threema`
+ */
+export function parseCompareState(search: string): CompareState {
+  return { ids: parseIdList(new URLSearchParams(search).get('ids')).slice(0, MAX_COMPARE) };
+}
+
+export function serializeCompareState(state: CompareState): string {
+  const params = new URLSearchParams();
+  if (state.ids.length > 0) params.set('ids', state.ids.join(','));
+  return toSearch(params);
+}
+
+export function comparePath(ids: string[], locale: Locale = DEFAULT_LOCALE) {
+  return `${localePath(locale, '/compare/')}${serializeCompareState({ ids })}`;
+}
+
+/**
+ * State mirrored into the URL query string. The server render uses `initial`;
+ * after hydration the state is taken from the URL, and back/forward
+ * navigation restores earlier states.
+ *
+ * `update(patch, { push })` merges `patch` into the state. Use `push: true`
+ * for discrete choices (a new history entry) and leave it off for typing,
+ * which replaces the current entry instead of adding one per keystroke.
+ */
+export function useUrlState<T>(
+  initial: T,
+  parse: (search: string) => T,
+  serialize: (state: T) => string,
+) {
+  const [state, setState] = useState<T>(initial);
+  const current = useRef(state);
+
+  useEffect(() => {
+    const sync = () => {
+      current.current = parse(window.location.search);
+      setState(current.current);
+    };
+    sync();
+    window.addEventListener('popstate', sync);
+    return () => window.removeEventListener('popstate', sync);
+  }, [parse]);
+
+  const update = useCallback((patch: Partial<T>, { push = false } = {}) => {
+    const next = { ...current.current, ...patch };
+    current.current = next;
+    setState(next);
+
+    const url = `${window.location.pathname}${serialize(next)}${window.location.hash}`;
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+    if (push) window.history.pushState(null, '', url);
+    else window.history.replaceState(null, '', url);
+  }, [serialize]);
+
+  return [state, update] as const;
+}
@@ -0,0 +1,57 @@
+import type { APIRoute } from 'astro';
+import { changelog, CHANGE_KINDS, SIGNAL_LABELS, summarizeChanges, type ChangelogEntry } from '../lib/changes';
+import { statusLabel } from '../lib/services';
+import { countryName } from '../lib/geography.js';
+import { absoluteUrl } from '../lib/dataset';
+
+// Feed entries beyond this many are only on the /changes/ page
+const FEED_ENTRIES = 50;
+
+function escapeXml(value: string) {
+  return value.replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]!);
+}
+
+// HTML body of an entry (escaped again when placed in the feed)
+function entryHtml(entry: ChangelogEntry) {
+  const sections: string[] = [];
+  for (const { key, label } of CHANGE_KINDS) {
+    if (entry[key].length === 0) continue;
+    const items = entry[key].map(s => {
+      const reason = s.reason ? ` (${escapeXml(s.reason)})` : '';
+      return `<li>${escapeXml(s.name)}, ${escapeXml(countryName(s.country))} · ${escapeXml(s.category)}${reason}</li>`;
+    });
+    sections.push(`<h3>${label}</h3><ul>${items.join('')}</ul>`);
+  }
+  if (entry.trust.length > 0) {
+    const items = entry.trust.map(t => `<li>${escapeXml(t.name)}: ${SIGNAL_LABELS[t.signal] ?? t.signal} ${statusLabel(t.from)} → ${statusLabel(t.to)}</li>`);
+    sections.push(`<h3>Trust verification</h3><ul>${items.join('')}</ul>`);
+  }
+  return sections.join('');
+}
+
+/** Atom feed of src/data/changelog.json, one entry per recorded diff */
+export const GET: APIRoute = ({ site }) => {
+  const pageUrl = absoluteUrl('/changes/', site);
+  const updated = changelog[0]?.date ?? new Date(0).toISOString();
+  const entries = changelog.slice(0, FEED_ENTRIES).map(entry => `
+  <entry>
+    <id>urn:global-balance:changes:${entry.date}</id>
+    <title>${escapeXml(`${entry.date.slice(0, 10)}: ${summarizeChanges(entry)}`)}</title>
+    <updated>${entry.date}</updated>
+    <link rel="alternate" type="text/html" href="${escapeXml(`${pageUrl}#${entry.date}`)}"/>
+    <content type="html">${escapeXml(entryHtml(entry))}</content>
+  </entry>`).join('');
+
+  const xml = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:global-balance:changes</id>
+  <title>Global Balance dataset changes</title>
+  <subtitle>New, removed, offline and recovered services and trust verification changes</subtitle>
+  <updated>${updated}</updated>
+  <link rel="alternate" type="text/html" href="${escapeXml(pageUrl)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(absoluteUrl('/changes.xml', site))}"/>
+  <author><name>Global Balance</name></author>${entries}
+</feed>
+`;
+  return new Response(xml, { headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' } });
+};
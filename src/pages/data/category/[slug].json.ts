@@ -0,0 +1,25 @@
+import type { APIRoute } from 'astro';
+import { categories, slugify, type Category } from '../../../lib/services';
+import { datasetInfo, exportedInnovators } from '../../../lib/dataset';
+
+export function getStaticPaths() {
+  return categories.map(category => ({
+    params: { slug: slugify(category.category) },
+    props: { category },
+  }));
+}
+
+/** The innovators of one category, with the category's incumbent */
+export const GET: APIRoute = ({ props }) => {
+  const { category } = props as { category: Category };
+  const innovators = exportedInnovators([category]);
+  return new Response(JSON.stringify({
+    ...datasetInfo(),
+    category: category.category,
+    incumbent: category.incumbent,
+    count: innovators.length,
+    innovators,
+  }, null, 2), {
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+  });
+};
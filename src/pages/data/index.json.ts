@@ -0,0 +1,20 @@
+import type { APIRoute } from 'astro';
+import { categories } from '../../lib/services';
+import { datasetInfo, exportedInnovators, EXPORT_PATHS, CSV_COLUMNS } from '../../lib/dataset';
+
+/** Entry point for consumers: version stamp and the list of export files */
+export const GET: APIRoute = () => new Response(JSON.stringify({
+  ...datasetInfo(),
+  count: exportedInnovators().length,
+  files: {
+    json: EXPORT_PATHS.json,
+    csv: { path: EXPORT_PATHS.csv, columns: CSV_COLUMNS },
+    categories: categories.map(c => ({
+      category: c.category,
+      path: EXPORT_PATHS.category(c.category),
+      count: c.innovators.length,
+    })),
+  },
+}, null, 2), {
+  headers: { 'Content-Type': 'application/json; charset=utf-8' },
+});
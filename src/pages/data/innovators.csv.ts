@@ -0,0 +1,10 @@
+import type { APIRoute } from 'astro';
+import { exportedInnovators, toCsv } from '../../lib/dataset';
+
+/**
+ * Every innovator as CSV. CSV has no room for metadata: the version stamp
+ * of this file is the one in /data/index.json.
+ */
+export const GET: APIRoute = () => new Response(toCsv(exportedInnovators()), {
+  headers: { 'Content-Type': 'text/csv; charset=utf-8' },
+});
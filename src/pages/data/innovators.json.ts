@@ -0,0 +1,10 @@
+import type { APIRoute } from 'astro';
+import { datasetInfo, exportedInnovators } from '../../lib/dataset';
+
+/** Every innovator, flattened, with the dataset version stamp */
+export const GET: APIRoute = () => {
+  const innovators = exportedInnovators();
+  return new Response(JSON.stringify({ ...datasetInfo(), count: innovators.length, innovators }, null, 2), {
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+  });
+};